@@ -4,4 +4,10 @@ module.exports = {
     'plugin:@newrelic/eslint-plugin-newrelic/prettier',
   ],
   plugins: ['react'],
+  overrides: [
+    {
+      files: ['**/__tests__/**/*.js'],
+      env: { jest: true },
+    },
+  ],
 };
@@ -0,0 +1,82 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Bar } from 'victory';
+
+import Colors from '../colors';
+
+// share of the bar width whisker caps span
+const CAP_WIDTH = 0.5;
+
+/**
+ * Draws a bar as the box of a box-and-whisker mark. Meant to be the
+ * `dataComponent` of a `VictoryBar` whose bars span from the bottom to the top
+ * of the box, with data that holds the ends of the whiskers as `low` and
+ * `high`, and the median as `median`, as returned by `getBoxPlot`.
+ *
+ * Whiskers are drawn when they reach beyond the box, and a median tick when
+ * there is a median. In horizontal charts, the y-axis runs left to right.
+ */
+const BoxPlotBar = (props) => {
+  const { datum, scale, horizontal, barWidth, x, y } = props;
+  // the position of the bar along the axis bars are laid out along
+  const center = horizontal ? y : x;
+  const getPoint = (offset, value) =>
+    horizontal
+      ? { x: scale.y(value), y: center + offset }
+      : { x: center + offset, y: scale.y(value) };
+  const renderLine = (key, [fromOffset, fromValue], [toOffset, toValue]) => {
+    const from = getPoint(fromOffset, fromValue);
+    const to = getPoint(toOffset, toValue);
+
+    return (
+      <line
+        key={key}
+        x1={from.x}
+        y1={from.y}
+        x2={to.x}
+        y2={to.y}
+        stroke={key === 'median' ? Colors.base.gray9 : datum.color}
+        strokeWidth={2}
+      />
+    );
+  };
+  const capOffset = (barWidth * CAP_WIDTH) / 2;
+  const renderWhisker = (end, boxEnd) =>
+    end !== boxEnd && [
+      renderLine(`whisker-${end}`, [0, end], [0, boxEnd]),
+      renderLine(`cap-${end}`, [-capOffset, end], [capOffset, end]),
+    ];
+
+  return (
+    <g>
+      {renderWhisker(datum.low, datum.boxLow)}
+      {renderWhisker(datum.high, datum.boxHigh)}
+      <Bar {...props} />
+      {datum.median !== undefined &&
+        renderLine(
+          'median',
+          [-barWidth / 2, datum.median],
+          [barWidth / 2, datum.median]
+        )}
+    </g>
+  );
+};
+
+BoxPlotBar.propTypes = {
+  datum: PropTypes.shape({
+    low: PropTypes.number,
+    boxLow: PropTypes.number,
+    median: PropTypes.number,
+    boxHigh: PropTypes.number,
+    high: PropTypes.number,
+    color: PropTypes.string,
+  }),
+  // provided by VictoryBar
+  scale: PropTypes.object,
+  horizontal: PropTypes.bool,
+  barWidth: PropTypes.number,
+  x: PropTypes.number,
+  y: PropTypes.number,
+};
+
+export default BoxPlotBar;
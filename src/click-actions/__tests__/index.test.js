@@ -0,0 +1,116 @@
+import { navigation, platform } from 'nr1';
+
+import { CLICK_ACTIONS, getClickEvents } from '..';
+import { normalizeQueryData } from '../../utils/nrql-data';
+
+import nonAggregate from '../../utils/__tests__/fixtures/non-aggregate.json';
+
+jest.mock(
+  'nr1',
+  () => ({
+    navigation: { openStackedNerdlet: jest.fn(), openStackedEntity: jest.fn() },
+    platform: { setUrlState: jest.fn() },
+  }),
+  { virtual: true }
+);
+
+const nrqlQueries = [
+  {
+    accountId: '1',
+    query: 'SELECT duration, externalDuration FROM Transaction FACET appName',
+  },
+];
+
+// clicks the datum with the handler of the given click action
+const click = (action, datum) => {
+  const [
+    {
+      eventHandlers: { onClick },
+    },
+  ] = getClickEvents({ action, nrqlQueries });
+
+  onClick({}, { datum });
+};
+
+// a point of a non-aggregate query FACETed by appName, as the scatter plot
+// builds it from the events of a series
+const getNonAggregatePoint = () => {
+  const [entry] = nonAggregate;
+  const {
+    series: [{ events, facets, queryIndex }],
+  } = normalizeQueryData([
+    {
+      ...entry,
+      metadata: {
+        ...entry.metadata,
+        groups: [
+          ...entry.metadata.groups,
+          {
+            type: 'facet',
+            name: 'appName',
+            value: 'checkout',
+            displayName: 'appName',
+          },
+        ],
+      },
+    },
+  ]);
+  const [{ duration, externalDuration }] = events;
+
+  return { x: duration, y: externalDuration, facets, queryIndex };
+};
+
+describe('getClickEvents', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('has no events without a click action', () => {
+    expect(getClickEvents({ action: CLICK_ACTIONS.NONE, nrqlQueries })).toEqual(
+      []
+    );
+  });
+
+  it('filters the dashboard by the facets of a non-aggregate point', () => {
+    click(CLICK_ACTIONS.FILTER_DASHBOARD, getNonAggregatePoint());
+
+    expect(platform.setUrlState).toHaveBeenCalledWith({
+      filters: "`appName` = 'checkout'",
+    });
+  });
+
+  it('opens the query of a non-aggregate point narrowed down to its facets', () => {
+    click(CLICK_ACTIONS.OPEN_QUERY, getNonAggregatePoint());
+
+    expect(navigation.openStackedNerdlet).toHaveBeenCalledWith(
+      expect.objectContaining({
+        urlState: expect.objectContaining({
+          initialNrqlValue:
+            "SELECT duration, externalDuration FROM Transaction WHERE `appName` = 'checkout' FACET appName",
+        }),
+      })
+    );
+  });
+
+  it('opens the entity a datum is FACETed by', () => {
+    click(CLICK_ACTIONS.OPEN_ENTITY, {
+      facets: [
+        { name: 'appName', value: 'checkout' },
+        { name: 'entity.guid', value: 'MXxBUE18QVBQTElDQVRJT058MQ' },
+      ],
+    });
+
+    expect(navigation.openStackedEntity).toHaveBeenCalledWith(
+      'MXxBUE18QVBQTElDQVRJT058MQ'
+    );
+  });
+
+  it('opens no entity without an entity GUID facet', () => {
+    click(CLICK_ACTIONS.OPEN_ENTITY, getNonAggregatePoint());
+    click(CLICK_ACTIONS.OPEN_ENTITY, {
+      facets: [{ name: 'entityGuid', value: 'Other' }],
+    });
+
+    expect(navigation.openStackedEntity).not.toHaveBeenCalled();
+  });
+});
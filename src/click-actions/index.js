@@ -0,0 +1,91 @@
+import { navigation, platform } from 'nr1';
+
+import { addWhereCondition, getFacetCondition } from '../utils/facet-filter';
+
+export const CLICK_ACTIONS = {
+  NONE: 'none',
+  FILTER_DASHBOARD: 'filter',
+  OPEN_QUERY: 'explore',
+  OPEN_ENTITY: 'entity',
+};
+
+// facets that hold the GUID of the entity behind a datum
+const ENTITY_GUID_FACETS = ['entityGuid', 'entity.guid'];
+
+export const isClickable = (action) =>
+  Object.values(CLICK_ACTIONS).includes(action) &&
+  action !== CLICK_ACTIONS.NONE;
+
+/**
+ * Applies the FACET clause values behind a datum as a filter to the
+ * dashboard the visualization is on.
+ */
+const filterDashboard = ({ facets }) => {
+  const condition = getFacetCondition(facets);
+
+  if (condition) {
+    platform.setUrlState({ filters: condition });
+  }
+};
+
+/**
+ * Opens the query a datum came from in the data explorer, narrowed down to
+ * the FACET clause values behind the datum.
+ */
+const openQuery = ({ facets, nrqlQuery: { accountId, query } }) => {
+  const condition = getFacetCondition(facets);
+
+  navigation.openStackedNerdlet({
+    id: 'data-exploration.query-builder',
+    urlState: {
+      initialActiveInterface: 'nrqlEditor',
+      initialAccountId: parseInt(accountId),
+      initialNrqlValue: condition ? addWhereCondition(query, condition) : query,
+      isViewingQuery: true,
+    },
+  });
+};
+
+/**
+ * Opens the entity behind a datum, when the query is FACETed by its GUID.
+ */
+const openEntity = ({ facets }) => {
+  const entityGuid = facets.find(({ name }) =>
+    ENTITY_GUID_FACETS.includes(name)
+  )?.value;
+
+  if (entityGuid && entityGuid !== 'Other') {
+    navigation.openStackedEntity(entityGuid);
+  }
+};
+
+/**
+ * Returns the Victory `events` that run the configured click action for the
+ * clicked datum. Data components should tag each datum with the `facets`
+ * (FACET clause groups) and `queryIndex` of the series it came from.
+ *
+ * @param {{action: string, nrqlQueries: {accountId: number, query: string}[]}} options
+ * @returns {Object[]}
+ */
+export const getClickEvents = ({ action, nrqlQueries }) => {
+  if (!isClickable(action)) {
+    return [];
+  }
+
+  const onClick = (event, { datum }) => {
+    const options = {
+      facets: datum.facets ?? [],
+      nrqlQuery: nrqlQueries[datum.queryIndex ?? 0],
+    };
+
+    if (action === CLICK_ACTIONS.FILTER_DASHBOARD) {
+      filterDashboard(options);
+    } else if (action === CLICK_ACTIONS.OPEN_ENTITY) {
+      openEntity(options);
+    } else {
+      openQuery(options);
+    }
+  };
+
+  return [{ target: 'data', eventHandlers: { onClick } }];
+};
@@ -0,0 +1,41 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import cx from 'classnames';
+
+/**
+ * Shows the mapping of a continuous color scale: a bar blending its colors,
+ * between the lowest and the highest value of the scale.
+ */
+const ColorScaleBar = ({
+  label,
+  min,
+  max,
+  colors,
+  formatValue = String,
+  className,
+  style,
+}) => (
+  <div className={cx('ColorScaleBar', className)} style={style}>
+    <span className="ColorScaleBar-label" title={label}>
+      {label}
+    </span>
+    <span className="ColorScaleBar-value">{formatValue(min)}</span>
+    <span
+      className="ColorScaleBar-gradient"
+      style={{ background: `linear-gradient(to right, ${colors.join(', ')})` }}
+    />
+    <span className="ColorScaleBar-value">{formatValue(max)}</span>
+  </div>
+);
+
+ColorScaleBar.propTypes = {
+  label: PropTypes.string,
+  min: PropTypes.number.isRequired,
+  max: PropTypes.number.isRequired,
+  colors: PropTypes.arrayOf(PropTypes.string).isRequired,
+  formatValue: PropTypes.func,
+  className: PropTypes.string,
+  style: PropTypes.object,
+};
+
+export default ColorScaleBar;
@@ -11,8 +11,17 @@ export default {
     gray9: 'var(--nr1--base-colors--ui--gray--9)',
     gray10: 'var(--nr1--base-colors--ui--gray--10)',
     red6: 'var(--nr1--base-colors--ui--red--6)',
+    yellow6: 'var(--nr1--base-colors--ui--yellow--6)',
     green6: 'var(--nr1--base-colors--ui--green--6)',
   },
+  dataviz: {
+    bright1: 'var(--nr1--base-colors--dataviz--bright--1)',
+    bright2: 'var(--nr1--base-colors--dataviz--bright--2)',
+    bright3: 'var(--nr1--base-colors--dataviz--bright--3)',
+    bright4: 'var(--nr1--base-colors--dataviz--bright--4)',
+    bright5: 'var(--nr1--base-colors--dataviz--bright--5)',
+    bright6: 'var(--nr1--base-colors--dataviz--bright--6)',
+  },
   background: {
     app: 'var(--nr1--colors--background--app)',
     surface: 'var(--nr1--colors--background--surface)',
@@ -0,0 +1,322 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Selection } from 'victory';
+
+import { getHexagonPath, getHexbins } from '../utils/hexbin';
+import { createSpatialIndex } from '../utils/spatial-index';
+
+export const DENSE_MODES = {
+  CANVAS: 'canvas',
+  HEXBIN: 'hexbin',
+};
+
+const POINT_RADIUS = 2.5;
+const MAX_BUBBLE_RADIUS = 10;
+const HEXAGON_RADIUS = 8;
+// how far from a point the pointer can be to show its tooltip
+const HOVER_DISTANCE = 12;
+
+/**
+ * Draws more points than SVG elements can keep up with: all of them on a
+ * single canvas, or grouped into hexagons drawn with the color most of their
+ * points have, more opaque the more points they hold. Meant to be a child of
+ * `VictoryChart`, which provides its `scale`, `range`, `width` and `height`
+ * props, in place of a `VictoryScatter`.
+ *
+ * Hovering shows the tooltip of the nearest point, found through a spatial
+ * index rather than an element per point, and clicking runs the `onClick`
+ * handlers of `events` that target data, as it would on a `VictoryScatter`.
+ * Selection containers select the points like those of a scatter.
+ */
+export default class DenseScatter extends React.Component {
+  static propTypes = {
+    data: PropTypes.arrayOf(
+      PropTypes.shape({
+        x: PropTypes.number,
+        y: PropTypes.number,
+        z: PropTypes.number,
+        color: PropTypes.string,
+      })
+    ),
+    mode: PropTypes.oneOf(Object.values(DENSE_MODES)),
+    // points selected through a selection container, which are drawn above
+    // the others on canvas
+    selectedPoints: PropTypes.array,
+    labels: PropTypes.func,
+    tooltipComponent: PropTypes.element,
+    events: PropTypes.array,
+    // tells points apart in selections
+    eventKey: PropTypes.func,
+    // provided by VictoryChart
+    scale: PropTypes.object,
+    range: PropTypes.object,
+    width: PropTypes.number,
+    height: PropTypes.number,
+  };
+
+  static defaultProps = {
+    data: [],
+    mode: DENSE_MODES.CANVAS,
+    selectedPoints: [],
+    events: [],
+    eventKey: (datum, index) => index,
+  };
+
+  state = {
+    hoveredPoint: null,
+  };
+
+  componentDidMount() {
+    this.drawCanvas();
+  }
+
+  componentDidUpdate(prevProps) {
+    // hovering leaves the points as they are
+    if (prevProps !== this.props) {
+      this.drawCanvas();
+    }
+  }
+
+  canvas = React.createRef();
+
+  /**
+   * Returns the bounds of the plot area on screen.
+   *
+   * @returns {{left: number, top: number, width: number, height: number}}
+   */
+  getPlotArea = () => {
+    const { range } = this.props;
+    const left = Math.min(...range.x);
+    const top = Math.min(...range.y);
+
+    return {
+      left,
+      top,
+      width: Math.max(...range.x) - left,
+      height: Math.max(...range.y) - top,
+    };
+  };
+
+  /**
+   * Returns the screen positions of the points within the plot area, along
+   * with a spatial index of them. Both are kept until the data or the scale
+   * changes, so hovering doesn't recompute them.
+   */
+  getLayout = () => {
+    const { data, scale, eventKey } = this.props;
+
+    if (this.layout?.data === data && this.layout?.scale === scale) {
+      return this.layout;
+    }
+
+    const { left, top, width, height } = this.getPlotArea();
+    const zValues = data.map(({ z }) => z).filter(Number.isFinite);
+    const zMin = Math.min(...zValues);
+    const zMax = Math.max(...zValues);
+    const getRadius = (z) =>
+      Number.isFinite(z) && zMax > zMin
+        ? POINT_RADIUS +
+          ((z - zMin) / (zMax - zMin)) * (MAX_BUBBLE_RADIUS - POINT_RADIUS)
+        : POINT_RADIUS;
+
+    const points = data.flatMap((datum, index) => {
+      const x = scale.x(datum.x);
+      const y = scale.y(datum.y);
+
+      // points beyond a zoomed domain are left out
+      return x >= left && x <= left + width && y >= top && y <= top + height
+        ? [
+            {
+              x,
+              y,
+              radius: getRadius(datum.z),
+              datum,
+              key: eventKey(datum, index),
+            },
+          ]
+        : [];
+    });
+
+    this.layout = {
+      data,
+      scale,
+      points,
+      index: createSpatialIndex(points, HOVER_DISTANCE),
+    };
+
+    return this.layout;
+  };
+
+  drawCanvas = () => {
+    const canvas = this.canvas.current;
+
+    if (!canvas) {
+      return;
+    }
+
+    const { selectedPoints } = this.props;
+    const { left, top, width, height } = this.getPlotArea();
+    const { points } = this.getLayout();
+    const pixelRatio = window.devicePixelRatio || 1;
+    const context = canvas.getContext('2d');
+    const selectedKeys = new Set(
+      selectedPoints.map(({ eventKey }) => eventKey)
+    );
+    const isSelected = ({ key }) => selectedKeys.has(key);
+
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    // selected points stand out from the others
+    [
+      ...points.filter((point) => !isSelected(point)),
+      ...points.filter(isSelected),
+    ].forEach((point) => {
+      if (!selectedKeys.size) {
+        context.globalAlpha = 0.7;
+      } else {
+        context.globalAlpha = isSelected(point) ? 0.9 : 0.2;
+      }
+
+      context.fillStyle = point.datum.color;
+      context.beginPath();
+      context.arc(point.x - left, point.y - top, point.radius, 0, 2 * Math.PI);
+      context.fill();
+    });
+  };
+
+  findPoint = (event) => {
+    const { x, y } = Selection.getSVGEventCoordinates(event);
+
+    return this.getLayout().index.findNearest(x, y, HOVER_DISTANCE);
+  };
+
+  handleMouseMove = (event) => {
+    const hoveredPoint = this.findPoint(event);
+
+    if (hoveredPoint !== this.state.hoveredPoint) {
+      this.setState({ hoveredPoint });
+    }
+  };
+
+  handleMouseLeave = () => this.setState({ hoveredPoint: null });
+
+  handleClick = (event) => {
+    const point = this.findPoint(event);
+
+    if (!point) {
+      return;
+    }
+
+    this.props.events
+      .filter(({ target }) => target === 'data')
+      .forEach(({ eventHandlers: { onClick } }) =>
+        onClick?.(event, { datum: point.datum })
+      );
+  };
+
+  renderHexagons() {
+    const layout = this.getLayout();
+    const { left, top, width, height } = this.getPlotArea();
+
+    // like the layout, hexagons are kept while hovering
+    if (!layout.hexbins) {
+      layout.hexbins = getHexbins(
+        layout.points.map(({ x, y, datum }) => ({ x, y, color: datum.color })),
+        HEXAGON_RADIUS
+      );
+    }
+
+    const { hexbins } = layout;
+    const maxCount = Math.max(...hexbins.map(({ count }) => count));
+    const path = getHexagonPath(HEXAGON_RADIUS);
+
+    return (
+      // a nested SVG clips hexagons at the edges of the plot area
+      <svg x={left} y={top} width={width} height={height}>
+        {hexbins.map(({ x, y, count, color }) => (
+          <path
+            key={`${x}:${y}`}
+            d={path}
+            transform={`translate(${x - left},${y - top})`}
+            fill={color}
+            // counts grow logarithmically, so sparse hexagons stay visible
+            fillOpacity={
+              0.2 + (0.7 * Math.log(count + 1)) / Math.log(maxCount + 1)
+            }
+          />
+        ))}
+      </svg>
+    );
+  }
+
+  render() {
+    const {
+      mode,
+      scale,
+      range,
+      labels,
+      tooltipComponent,
+      events,
+      width,
+      height,
+    } = this.props;
+
+    if (!scale || !range) {
+      return null;
+    }
+
+    const { hoveredPoint } = this.state;
+    const plotArea = this.getPlotArea();
+
+    return (
+      <g className="DenseScatter">
+        {mode === DENSE_MODES.HEXBIN ? (
+          this.renderHexagons()
+        ) : (
+          <foreignObject
+            x={plotArea.left}
+            y={plotArea.top}
+            width={plotArea.width}
+            height={plotArea.height}
+            style={{ pointerEvents: 'none' }}
+          >
+            <canvas
+              ref={this.canvas}
+              width={plotArea.width * (window.devicePixelRatio || 1)}
+              height={plotArea.height * (window.devicePixelRatio || 1)}
+              style={{ width: plotArea.width, height: plotArea.height }}
+            />
+          </foreignObject>
+        )}
+        <rect
+          x={plotArea.left}
+          y={plotArea.top}
+          width={plotArea.width}
+          height={plotArea.height}
+          fill="transparent"
+          style={{
+            cursor: hoveredPoint && events.length ? 'pointer' : 'inherit',
+          }}
+          onMouseMove={this.handleMouseMove}
+          onMouseLeave={this.handleMouseLeave}
+          onClick={this.handleClick}
+        />
+        {hoveredPoint &&
+          tooltipComponent &&
+          React.cloneElement(tooltipComponent, {
+            active: true,
+            datum: hoveredPoint.datum,
+            x: hoveredPoint.x,
+            y: hoveredPoint.y,
+            text: labels?.({ datum: hoveredPoint.datum }),
+            width,
+            height,
+          })}
+      </g>
+    );
+  }
+}
+
+// lets VictorySelectionContainer select the points
+DenseScatter.role = 'scatter';
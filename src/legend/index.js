@@ -1,15 +1,80 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import cx from 'classnames';
-import { Grid, GridItem } from 'nr1';
+import { Grid, GridItem, Popover, PopoverBody, PopoverTrigger } from 'nr1';
+
+import {
+  LEGEND_OVERFLOW,
+  LEGEND_POSITIONS,
+  getFittingItemCount,
+  getLegendColumnCount,
+} from '../utils/legend-layout';
+import { getLegendClickHandlers } from '../utils/legend-clicks';
+
+/**
+ * Lists the series of a chart. When `onItemToggle` and `onItemIsolate` are
+ * given, clicking an item toggles its series, while shift-clicking or
+ * double-clicking it isolates its series.
+ *
+ * Items that don't fit the legend `height` can either be scrolled to, or be
+ * listed in a popover behind a "+N more" entry.
+ */
+const Legend = ({
+  items,
+  height,
+  position = LEGEND_POSITIONS.BOTTOM,
+  overflow = LEGEND_OVERFLOW.SCROLL,
+  style,
+  className,
+  onItemToggle,
+  onItemIsolate,
+}) => {
+  const columnCount = getLegendColumnCount(position);
+  const columnSpan = 12 / columnCount;
+  const shownItemCount =
+    overflow === LEGEND_OVERFLOW.MORE
+      ? getFittingItemCount({ itemCount: items.length, height, columnCount })
+      : items.length;
+  const moreItems = items.slice(shownItemCount);
+
+  const renderItem = (item, itemColumnSpan) => (
+    <LegendItem
+      {...item}
+      // keeps a pending toggle with its series when items change
+      key={item.label}
+      columnSpan={itemColumnSpan}
+      onToggle={onItemToggle}
+      onIsolate={onItemIsolate}
+    />
+  );
 
-const Legend = ({ items, style, className }) => {
   return (
-    <div className={cx('Legend', className)} style={{ ...style }}>
+    <div
+      className={cx('Legend', `Legend--${overflow}`, className)}
+      style={{ ...style, height }}
+    >
       <Grid gapType={Grid.GAP_TYPE.SMALL}>
-        {items.map((item, index) => (
-          <LegendItem {...item} key={index} />
-        ))}
+        {items
+          .slice(0, shownItemCount)
+          .map((item) => renderItem(item, columnSpan))}
+        {moreItems.length > 0 && (
+          <GridItem columnSpan={columnSpan} className="LegendItem">
+            <Popover>
+              <PopoverTrigger>
+                <button type="button" className="Legend-more">
+                  +{moreItems.length} more
+                </button>
+              </PopoverTrigger>
+              <PopoverBody>
+                <div className="Legend-popover">
+                  <Grid gapType={Grid.GAP_TYPE.SMALL}>
+                    {moreItems.map((item) => renderItem(item, 12))}
+                  </Grid>
+                </div>
+              </PopoverBody>
+            </Popover>
+          </GridItem>
+        )}
       </Grid>
     </div>
   );
@@ -20,28 +85,82 @@ Legend.propTypes = {
     PropTypes.shape({
       color: PropTypes.string.isRequired,
       label: PropTypes.string.isRequired,
+      value: PropTypes.string,
+      hidden: PropTypes.bool,
     })
   ),
+  height: PropTypes.number,
+  position: PropTypes.oneOf([LEGEND_POSITIONS.BOTTOM, LEGEND_POSITIONS.RIGHT]),
+  overflow: PropTypes.oneOf(Object.values(LEGEND_OVERFLOW)),
   style: PropTypes.object,
   className: PropTypes.string,
+  onItemToggle: PropTypes.func,
+  onItemIsolate: PropTypes.func,
 };
 
-const LegendItem = ({ color, label }) => {
-  return (
-    <GridItem columnSpan={3} className="LegendItem">
-      <div className="LegendItem-content">
+/**
+ * A legend entry. Keeps its click handlers across renders, so that a pending
+ * toggle can still be dropped by the second click of a double-click. The
+ * callbacks get the item as it is in the props when they run.
+ */
+class LegendItem extends React.Component {
+  static propTypes = {
+    color: PropTypes.string,
+    label: PropTypes.string,
+    value: PropTypes.string,
+    hidden: PropTypes.bool,
+    columnSpan: PropTypes.number,
+    onToggle: PropTypes.func,
+    onIsolate: PropTypes.func,
+  };
+
+  componentWillUnmount() {
+    this.clickHandlers.cancel();
+  }
+
+  clickHandlers = getLegendClickHandlers(() => {
+    const { color, label, value, hidden, onToggle, onIsolate } = this.props;
+    const item = { color, label, value, hidden };
+
+    return {
+      onToggle: onToggle && (() => onToggle(item)),
+      onIsolate: onIsolate && (() => onIsolate(item)),
+    };
+  });
+
+  render() {
+    const { color, label, value, hidden, columnSpan, onToggle } = this.props;
+    const content = (
+      <>
         <div className="LegendItem-dot" style={{ backgroundColor: color }} />
         <div className="LegendItem-label" title={label}>
           {label}
         </div>
-      </div>
-    </GridItem>
-  );
-};
+        {value && <div className="LegendItem-value">{value}</div>}
+      </>
+    );
 
-LegendItem.propTypes = {
-  color: PropTypes.string,
-  label: PropTypes.string,
-};
+    return (
+      <GridItem
+        columnSpan={columnSpan}
+        className={cx('LegendItem', { 'LegendItem--hidden': hidden })}
+      >
+        {onToggle ? (
+          <button
+            type="button"
+            className="LegendItem-content LegendItem-content--interactive"
+            aria-pressed={!hidden}
+            onClick={this.clickHandlers.onClick}
+            onDoubleClick={this.clickHandlers.onDoubleClick}
+          >
+            {content}
+          </button>
+        ) : (
+          <div className="LegendItem-content">{content}</div>
+        )}
+      </GridItem>
+    );
+  }
+}
 
 export default Legend;
@@ -0,0 +1,142 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import { getBinEdges, getHistogramBins } from '../utils/histogram';
+
+// space between the plot area and the histograms along it
+const GAP = 4;
+// space between neighboring bars
+const BAR_SPACING = 1;
+
+/**
+ * Draws histograms of where points lie along each axis, just outside the plot
+ * area: above it for the x-axis and right of it for the y-axis. Meant to be a
+ * child of `VictoryChart`, which provides its `scale`, `domain` and `range`
+ * props, so the chart padding must leave room for them.
+ *
+ * Only points within the domain are counted, so the histograms follow zooming.
+ * Bars stack the points of every group in its color.
+ */
+const MarginalHistograms = ({
+  points,
+  axes,
+  binCount,
+  size,
+  scale,
+  domain,
+  range,
+}) => {
+  if (!scale || !domain || !range) {
+    return null;
+  }
+
+  const screenX = [Math.min(...range.x), Math.max(...range.x)];
+  const screenY = [Math.min(...range.y), Math.max(...range.y)];
+
+  const getHistogram = (axis) => {
+    const [min, max] = domain[axis].map(Number);
+    const edges = getBinEdges(
+      { min: Math.min(min, max), max: Math.max(min, max) },
+      binCount,
+      axes[axis]
+    );
+
+    return getHistogramBins(
+      points.map((point) => ({
+        value: point[axis],
+        group: point.group,
+        color: point.color,
+      })),
+      edges
+    );
+  };
+
+  const renderBars = (axis) => {
+    const { groups, bins } = getHistogram(axis);
+    const maxCount = Math.max(...bins.map(({ count }) => count));
+
+    if (!(maxCount > 0)) {
+      return null;
+    }
+
+    return bins.map(({ start, end, counts }, binIndex) => {
+      const [low, high] = [scale[axis](start), scale[axis](end)].sort(
+        (a, b) => a - b
+      );
+      const width = Math.max(high - low - BAR_SPACING, 1);
+      let offset = 0;
+
+      return counts.map((count, groupIndex) => {
+        if (!count) {
+          return null;
+        }
+
+        const length = (count / maxCount) * size;
+        const bar =
+          axis === 'x' ? (
+            <rect
+              key={`${binIndex}-${groupIndex}`}
+              x={low}
+              y={screenY[0] - GAP - offset - length}
+              width={width}
+              height={length}
+              fill={groups[groupIndex].color}
+              fillOpacity={0.7}
+            />
+          ) : (
+            <rect
+              key={`${binIndex}-${groupIndex}`}
+              x={screenX[1] + GAP + offset}
+              y={low}
+              width={length}
+              height={width}
+              fill={groups[groupIndex].color}
+              fillOpacity={0.7}
+            />
+          );
+
+        offset += length;
+        return bar;
+      });
+    });
+  };
+
+  return (
+    <g className="MarginalHistograms">
+      <g>{renderBars('x')}</g>
+      <g>{renderBars('y')}</g>
+    </g>
+  );
+};
+
+MarginalHistograms.propTypes = {
+  // not `data`, which VictoryChart would take into its domain
+  points: PropTypes.arrayOf(
+    PropTypes.shape({
+      x: PropTypes.number,
+      y: PropTypes.number,
+      group: PropTypes.string,
+      color: PropTypes.string,
+    })
+  ),
+  axes: PropTypes.shape({
+    x: PropTypes.shape({ type: PropTypes.string, scale: PropTypes.string }),
+    y: PropTypes.shape({ type: PropTypes.string, scale: PropTypes.string }),
+  }),
+  binCount: PropTypes.number,
+  // the most room a bar takes, away from the plot area
+  size: PropTypes.number,
+  // provided by VictoryChart
+  scale: PropTypes.object,
+  domain: PropTypes.object,
+  range: PropTypes.object,
+};
+
+MarginalHistograms.defaultProps = {
+  points: [],
+  axes: { x: {}, y: {} },
+  binCount: 20,
+  size: 40,
+};
+
+export default MarginalHistograms;
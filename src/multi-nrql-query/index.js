@@ -0,0 +1,79 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { NrqlQuery } from 'nr1';
+
+import { getQueryLabel } from '../utils/nrql-queries';
+
+/**
+ * Combines the results of every `NrqlQuery` into the `{ data, loading, error }`
+ * shape a single `NrqlQuery` provides to its children.
+ *
+ * Every series is tagged with the `queryIndex` of the query it came from. When
+ * there is more than one query, series are also tagged with a `queryLabel`.
+ */
+const mergeResults = (nrqlQueries, results) => {
+  const loading = results.some(({ loading }) => loading);
+  const failedResult = results.find(({ error, data }) => error && !data);
+
+  if (failedResult) {
+    return { data: null, loading, error: failedResult.error };
+  }
+
+  const data = results.flatMap(({ data }, queryIndex) =>
+    (data ?? []).map((series) => ({
+      ...series,
+      queryIndex,
+      ...(nrqlQueries.length > 1 && {
+        queryLabel: getQueryLabel(nrqlQueries[queryIndex], queryIndex),
+      }),
+    }))
+  );
+
+  return {
+    data,
+    loading,
+    error: results.find(({ error }) => error)?.error ?? null,
+  };
+};
+
+/**
+ * Runs each of the given NRQL queries, each against its own account, and
+ * renders `children` with their merged results.
+ */
+const MultiNrqlQuery = ({ nrqlQueries, timeRange, pollInterval, children }) => {
+  const renderQuery = (queryIndex, results) => {
+    if (queryIndex === nrqlQueries.length) {
+      return children(mergeResults(nrqlQueries, results));
+    }
+
+    const { accountId, query } = nrqlQueries[queryIndex];
+
+    return (
+      <NrqlQuery
+        query={query}
+        accountIds={[parseInt(accountId)]}
+        pollInterval={pollInterval}
+        timeRange={timeRange}
+      >
+        {(result) => renderQuery(queryIndex + 1, [...results, result])}
+      </NrqlQuery>
+    );
+  };
+
+  return renderQuery(0, []);
+};
+
+MultiNrqlQuery.propTypes = {
+  nrqlQueries: PropTypes.arrayOf(
+    PropTypes.shape({
+      accountId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      query: PropTypes.string,
+      label: PropTypes.string,
+    })
+  ).isRequired,
+  timeRange: PropTypes.object,
+  pollInterval: PropTypes.number,
+  children: PropTypes.func.isRequired,
+};
+
+export default MultiNrqlQuery;
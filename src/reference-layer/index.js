@@ -0,0 +1,165 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+import Colors from '../colors';
+import { baseLabelStyles } from '../theme';
+import { THRESHOLD_LEVELS } from '../utils/thresholds';
+
+const LEVEL_COLORS = {
+  [THRESHOLD_LEVELS.WARNING]: Colors.base.yellow6,
+  [THRESHOLD_LEVELS.CRITICAL]: Colors.base.red6,
+};
+
+const LABEL_OFFSET = 4;
+
+const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+
+/**
+ * Draws threshold bands and labeled reference lines across a chart. Meant to
+ * be a child of `VictoryChart`, which provides its `scale`, `domain`, `range`
+ * and `horizontal` props.
+ *
+ * Bands and lines are given on the data axes ("x" or "y"). In horizontal
+ * charts, the y-axis runs left to right on screen.
+ */
+const ReferenceLayer = ({
+  bands,
+  lines,
+  formatValue,
+  scale,
+  domain,
+  range,
+  horizontal,
+}) => {
+  if (!scale || !domain || !range) {
+    return null;
+  }
+
+  const screenX = [Math.min(...range.x), Math.max(...range.x)];
+  const screenY = [Math.min(...range.y), Math.max(...range.y)];
+
+  // whether values along the axis are laid out top to bottom on screen
+  const isVerticalOnScreen = (axis) => (axis === 'y') !== horizontal;
+  const getDomain = (axis) => [
+    Math.min(...domain[axis]),
+    Math.max(...domain[axis]),
+  ];
+
+  return (
+    <g className="ReferenceLayer">
+      {bands.map(({ axis = 'y', level, from, to }, index) => {
+        const [start, end] = [from, to]
+          .map((value) => clamp(value, getDomain(axis)))
+          .map((value) => scale[axis](value));
+        const [low, high] = [Math.min(start, end), Math.max(start, end)];
+
+        return isVerticalOnScreen(axis) ? (
+          <rect
+            key={`band-${index}`}
+            x={screenX[0]}
+            y={low}
+            width={screenX[1] - screenX[0]}
+            height={high - low}
+            fill={LEVEL_COLORS[level]}
+            fillOpacity={0.1}
+          />
+        ) : (
+          <rect
+            key={`band-${index}`}
+            x={low}
+            y={screenY[0]}
+            width={high - low}
+            height={screenY[1] - screenY[0]}
+            fill={LEVEL_COLORS[level]}
+            fillOpacity={0.1}
+          />
+        );
+      })}
+      {lines
+        .filter(({ axis, value }) => {
+          const [min, max] = getDomain(axis);
+          return value >= min && value <= max;
+        })
+        .map(({ axis, value, label, level }, index) => {
+          const position = scale[axis](value);
+          const color = LEVEL_COLORS[level] ?? Colors.base.gray7;
+          const text = [label, formatValue(value, axis)]
+            .filter((part) => part)
+            .join(' ');
+          const labelStyle = { ...baseLabelStyles, fontSize: 10, fill: color };
+
+          return isVerticalOnScreen(axis) ? (
+            <g key={`line-${index}`}>
+              <line
+                x1={screenX[0]}
+                x2={screenX[1]}
+                y1={position}
+                y2={position}
+                stroke={color}
+                strokeDasharray="4 4"
+              />
+              <text
+                x={screenX[1] - LABEL_OFFSET}
+                y={position - LABEL_OFFSET}
+                textAnchor="end"
+                style={labelStyle}
+              >
+                {text}
+              </text>
+            </g>
+          ) : (
+            <g key={`line-${index}`}>
+              <line
+                x1={position}
+                x2={position}
+                y1={screenY[0]}
+                y2={screenY[1]}
+                stroke={color}
+                strokeDasharray="4 4"
+              />
+              <text
+                x={position + LABEL_OFFSET}
+                y={screenY[0] + baseLabelStyles.fontSize}
+                style={labelStyle}
+              >
+                {text}
+              </text>
+            </g>
+          );
+        })}
+    </g>
+  );
+};
+
+ReferenceLayer.propTypes = {
+  bands: PropTypes.arrayOf(
+    PropTypes.shape({
+      axis: PropTypes.oneOf(['x', 'y']),
+      level: PropTypes.oneOf(Object.values(THRESHOLD_LEVELS)),
+      from: PropTypes.number,
+      to: PropTypes.number,
+    })
+  ),
+  lines: PropTypes.arrayOf(
+    PropTypes.shape({
+      axis: PropTypes.oneOf(['x', 'y']),
+      value: PropTypes.number,
+      label: PropTypes.string,
+      level: PropTypes.oneOf(Object.values(THRESHOLD_LEVELS)),
+    })
+  ),
+  formatValue: PropTypes.func,
+  // provided by VictoryChart
+  scale: PropTypes.object,
+  domain: PropTypes.object,
+  range: PropTypes.object,
+  horizontal: PropTypes.bool,
+};
+
+ReferenceLayer.defaultProps = {
+  bands: [],
+  lines: [],
+  formatValue: (value) => `${value}`,
+};
+
+export default ReferenceLayer;
@@ -0,0 +1,113 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Summarizes the points selected on a chart, as returned by
+ * `getSelectionSummary`: their count, the min, max and mean along each axis,
+ * and the number of points of every legend group. Axes without a format
+ * function, such as categorical axes, are left out.
+ */
+const SelectionSummary = ({
+  summary,
+  xLabel,
+  yLabel,
+  formatX,
+  formatY,
+  onClear,
+}) => {
+  const { count, x, y, groups } = summary;
+  const axes = [
+    { label: xLabel, stats: x, format: formatX },
+    { label: yLabel, stats: y, format: formatY },
+  ].filter(({ format }) => format);
+
+  return (
+    <div className="SelectionSummary">
+      <div className="SelectionSummary-header">
+        <span className="SelectionSummary-title">
+          {count.toLocaleString()} {count === 1 ? 'point' : 'points'} selected
+        </span>
+        <button
+          type="button"
+          className="SelectionSummary-clear"
+          aria-label="Clear selection"
+          onClick={onClear}
+        >
+          {'\u00D7'}
+        </button>
+      </div>
+      {axes.length > 0 && (
+        <table className="SelectionSummary-table">
+          <thead>
+            <tr>
+              <th />
+              <th>Min</th>
+              <th>Max</th>
+              <th>Mean</th>
+            </tr>
+          </thead>
+          <tbody>
+            {axes.map(({ label, stats, format }) => (
+              <tr key={label}>
+                <th className="SelectionSummary-axis" title={label}>
+                  {label}
+                </th>
+                <td>{format(stats.min)}</td>
+                <td>{format(stats.max)}</td>
+                <td>{format(stats.mean)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {groups.length > 0 && (
+        <ul className="SelectionSummary-groups">
+          {groups.map(({ label, color, count: groupCount }) => (
+            <li key={label} className="SelectionSummary-group">
+              <div
+                className="SelectionSummary-dot"
+                style={{ backgroundColor: color }}
+              />
+              <div className="SelectionSummary-groupLabel" title={label}>
+                {label}
+              </div>
+              <div className="SelectionSummary-groupCount">
+                {groupCount.toLocaleString()}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+SelectionSummary.propTypes = {
+  summary: PropTypes.shape({
+    count: PropTypes.number,
+    x: PropTypes.shape({
+      min: PropTypes.number,
+      max: PropTypes.number,
+      mean: PropTypes.number,
+    }),
+    y: PropTypes.shape({
+      min: PropTypes.number,
+      max: PropTypes.number,
+      mean: PropTypes.number,
+    }),
+    groups: PropTypes.arrayOf(
+      PropTypes.shape({
+        label: PropTypes.string,
+        color: PropTypes.string,
+        count: PropTypes.number,
+      })
+    ),
+  }).isRequired,
+  xLabel: PropTypes.string,
+  yLabel: PropTypes.string,
+  formatX: PropTypes.func,
+  formatY: PropTypes.func,
+  onClear: PropTypes.func,
+};
+
+export default SelectionSummary;
@@ -0,0 +1,65 @@
+import { fitsScale, getAxisDomain, getLogTicks } from '../axis-scale';
+
+describe('fitsScale', () => {
+  it('places only positive values on log axes', () => {
+    expect(fitsScale(0, 'log')).toBe(false);
+    expect(fitsScale(0.01, 'log')).toBe(true);
+    expect(fitsScale(-5, 'linear')).toBe(true);
+  });
+});
+
+describe('getAxisDomain', () => {
+  const values = [0, 12, 850, 4];
+
+  it('spans the values', () => {
+    expect(getAxisDomain(values, { scale: 'linear' })).toEqual({
+      min: 0,
+      max: 850,
+    });
+  });
+
+  it('includes zero in zero-based linear axes', () => {
+    expect(getAxisDomain([20, 40], { zeroBased: true })).toEqual({
+      min: 0,
+      max: 40,
+    });
+    expect(getAxisDomain([20, 40], { scale: 'log', zeroBased: true })).toEqual({
+      min: 20,
+      max: 40,
+    });
+  });
+
+  it('leaves out values that do not fit a log axis', () => {
+    expect(getAxisDomain(values, { scale: 'log' })).toEqual({
+      min: 4,
+      max: 850,
+    });
+  });
+
+  it('prefers fixed bounds that fit the scale', () => {
+    expect(getAxisDomain(values, { min: '1', max: 1000 })).toEqual({
+      min: 1,
+      max: 1000,
+    });
+    expect(getAxisDomain(values, { scale: 'log', min: 0, max: '' })).toEqual({
+      min: 4,
+      max: 850,
+    });
+  });
+});
+
+describe('getLogTicks', () => {
+  it('places ticks at powers of ten', () => {
+    expect(getLogTicks({ min: 0.004, max: 850 }, 8)).toEqual([
+      0.01, 0.1, 1, 10, 100,
+    ]);
+  });
+
+  it('skips powers of ten when more than the tick count fit', () => {
+    expect(getLogTicks({ min: 1, max: 1e6 }, 3)).toEqual([1, 1000, 1e6]);
+  });
+
+  it('leaves ticks to the chart within a single power of ten', () => {
+    expect(getLogTicks({ min: 20, max: 800 }, 5)).toBeUndefined();
+  });
+});
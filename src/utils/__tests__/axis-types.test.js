@@ -0,0 +1,69 @@
+import {
+  getAxisType,
+  getCategories,
+  getCategoryPosition,
+  getCategoryTicks,
+} from '../axis-types';
+
+describe('getAxisType', () => {
+  it('detects timestamps by their unit', () => {
+    expect(getAxisType([1650000000000], 'TIMESTAMP')).toBe('time');
+  });
+
+  it('detects categories by values that are not numbers', () => {
+    expect(getAxisType([null, 'web-1', 'web-2'], 'UNKNOWN')).toBe('category');
+    expect(getAxisType([true, false])).toBe('category');
+  });
+
+  it('takes numbers as numbers', () => {
+    expect(getAxisType([0.3, null, 12], 'SECONDS')).toBe('number');
+  });
+});
+
+describe('getCategories', () => {
+  it('lists distinct values as text in alphabetical order', () => {
+    expect(getCategories(['web-2', 'db', null, 'web-2', true])).toEqual([
+      'db',
+      'true',
+      'web-2',
+    ]);
+  });
+});
+
+describe('getCategoryPosition', () => {
+  const categories = ['db', 'web'];
+
+  it('places points around the position of their category', () => {
+    const position = getCategoryPosition('web', categories, 7);
+
+    expect(position).toBeGreaterThanOrEqual(1.7);
+    expect(position).toBeLessThan(2.3);
+  });
+
+  it('places a point in the same place for the same seed', () => {
+    expect(getCategoryPosition('db', categories, 3)).toBe(
+      getCategoryPosition('db', categories, 3)
+    );
+    expect(getCategoryPosition('db', categories, 3)).not.toBe(
+      getCategoryPosition('db', categories, 4)
+    );
+  });
+
+  it('places values without a category nowhere', () => {
+    expect(getCategoryPosition(null, categories, 1)).toBeNull();
+    expect(getCategoryPosition('cache', categories, 1)).toBeNull();
+  });
+});
+
+describe('getCategoryTicks', () => {
+  it('places a tick at every category within the domain', () => {
+    expect(getCategoryTicks({ min: 0.5, max: 3.5 }, 3, 10)).toEqual([1, 2, 3]);
+    expect(getCategoryTicks({ min: 1.7, max: 2.9 }, 3, 10)).toEqual([2]);
+  });
+
+  it('skips categories when more than the tick count fit', () => {
+    expect(getCategoryTicks({ min: 0.5, max: 10.5 }, 10, 4)).toEqual([
+      1, 4, 7, 10,
+    ]);
+  });
+});
@@ -0,0 +1,43 @@
+import { getBoxPlot } from '../box-plot';
+
+describe('getBoxPlot', () => {
+  it('spans a plain box with 2 values', () => {
+    expect(getBoxPlot([10, 40])).toEqual({
+      low: 10,
+      boxLow: 10,
+      median: undefined,
+      boxHigh: 40,
+      high: 40,
+    });
+  });
+
+  it('marks the median of the box with 3 values', () => {
+    expect(getBoxPlot([10, 25, 40])).toEqual({
+      low: 10,
+      boxLow: 10,
+      median: 25,
+      boxHigh: 40,
+      high: 40,
+    });
+  });
+
+  it('adds whiskers around the box with 4 values', () => {
+    expect(getBoxPlot([5, 10, 40, 90])).toEqual({
+      low: 5,
+      boxLow: 10,
+      median: undefined,
+      boxHigh: 40,
+      high: 90,
+    });
+  });
+
+  it('adds whiskers and a median with 5 values', () => {
+    expect(getBoxPlot([5, 10, 25, 40, 90])).toEqual({
+      low: 5,
+      boxLow: 10,
+      median: 25,
+      boxHigh: 40,
+      high: 90,
+    });
+  });
+});
@@ -0,0 +1,25 @@
+import { getContinuousColor } from '../color-scale';
+
+describe('getContinuousColor', () => {
+  const colors = ['#000000', '#ff0000', '#ffffff'];
+  const domain = { min: 0, max: 100 };
+
+  it('uses the colors at the ends of the domain', () => {
+    expect(getContinuousColor(0, domain, colors)).toBe('#000000');
+    expect(getContinuousColor(100, domain, colors)).toBe('#ffffff');
+  });
+
+  it('blends the colors a value falls between', () => {
+    expect(getContinuousColor(25, domain, colors)).toBe('#800000');
+    expect(getContinuousColor(75, domain, colors)).toBe('#ff8080');
+  });
+
+  it('clamps values beyond the domain', () => {
+    expect(getContinuousColor(-10, domain, colors)).toBe('#000000');
+    expect(getContinuousColor(250, domain, colors)).toBe('#ffffff');
+  });
+
+  it('uses the middle color for a domain without spread', () => {
+    expect(getContinuousColor(5, { min: 5, max: 5 }, colors)).toBe('#ff0000');
+  });
+});
@@ -0,0 +1,88 @@
+import { addWhereCondition, getFacetCondition } from '../facet-filter';
+
+describe('getFacetCondition', () => {
+  it('matches the value of every facet', () => {
+    expect(
+      getFacetCondition([
+        { name: 'environment', value: 'production' },
+        { name: 'http.statusCode', value: 500 },
+      ])
+    ).toBe("`environment` = 'production' AND `http.statusCode` = 500");
+  });
+
+  it('escapes quotes and matches missing values', () => {
+    expect(
+      getFacetCondition([
+        { name: 'name', value: "it's" },
+        { name: 'host', value: undefined },
+      ])
+    ).toBe("`name` = 'it\\'s' AND `host` IS NULL");
+  });
+
+  it('matches function facets without quoting them', () => {
+    expect(
+      getFacetCondition([
+        { name: 'dateOf(timestamp)', value: 'April 15, 2022' },
+        { name: "capture(name, r'(?P<verb>\\w+) .*')", value: 'GET' },
+      ])
+    ).toBe(
+      "dateOf(timestamp) = 'April 15, 2022' AND capture(name, r'(?P<verb>\\w+) .*') = 'GET'"
+    );
+  });
+
+  it('can not filter on the "Other" facet', () => {
+    expect(getFacetCondition([{ name: 'appName', value: 'Other' }])).toBe(null);
+    expect(getFacetCondition([])).toBe(null);
+  });
+});
+
+describe('addWhereCondition', () => {
+  const condition = "`appName` = 'checkout'";
+
+  it('adds a WHERE clause before the clauses that follow it', () => {
+    expect(
+      addWhereCondition(
+        'SELECT count(*) FROM Transaction FACET appName',
+        condition
+      )
+    ).toBe(
+      "SELECT count(*) FROM Transaction WHERE `appName` = 'checkout' FACET appName"
+    );
+    expect(
+      addWhereCondition('SELECT count(*) FROM Transaction', condition)
+    ).toBe("SELECT count(*) FROM Transaction WHERE `appName` = 'checkout'");
+  });
+
+  it('adds a WHERE clause to a query with a WHERE in a function', () => {
+    expect(
+      addWhereCondition(
+        "FROM Transaction SELECT percentage(count(*), WHERE duration > 1) as 'Slow', count(*) FACET appName",
+        condition
+      )
+    ).toBe(
+      "FROM Transaction SELECT percentage(count(*), WHERE duration > 1) as 'Slow', count(*) WHERE `appName` = 'checkout' FACET appName"
+    );
+  });
+
+  it('combines the condition with the top-level WHERE clause only', () => {
+    expect(
+      addWhereCondition(
+        "SELECT filter(count(*), WHERE error IS true) FROM Transaction WHERE host = 'a (where)' FACET appName LIMIT 5",
+        condition
+      )
+    ).toBe(
+      "SELECT filter(count(*), WHERE error IS true) FROM Transaction WHERE (host = 'a (where)') AND `appName` = 'checkout' FACET appName LIMIT 5"
+    );
+  });
+
+  it('combines the condition with an existing WHERE clause', () => {
+    expect(
+      addWhereCondition(
+        "SELECT count(*) FROM Transaction WHERE host = 'a' OR host = 'b' FACET appName SINCE 1 day ago",
+        condition
+      )
+    ).toBe(
+      "SELECT count(*) FROM Transaction WHERE (host = 'a' OR host = 'b') AND `appName` = 'checkout' FACET appName SINCE 1 day ago"
+    );
+  });
+});
@@ -0,0 +1,43 @@
+import { getGaugeLayout } from '../gauge-layout';
+
+const gauge = {
+  gaugeWidth: 400,
+  gaugeHeight: 400,
+  belowHeight: 50,
+  besideHeight: 60,
+  minLabelWidth: 120,
+  gap: 20,
+};
+
+describe('getGaugeLayout', () => {
+  it('places the label below the gauge in square areas', () => {
+    expect(getGaugeLayout({ ...gauge, width: 400, height: 450 })).toEqual({
+      isBeside: false,
+      viewBoxWidth: 400,
+      viewBoxHeight: 450,
+      labelWidth: 400,
+      scale: 1,
+    });
+  });
+
+  it('places the label beside the gauge in wide tiles', () => {
+    const layout = getGaugeLayout({ ...gauge, width: 1200, height: 300 });
+
+    expect(layout).toMatchObject({
+      isBeside: true,
+      viewBoxHeight: 400,
+      labelWidth: 400,
+    });
+    // the gauge fills the height of the tile
+    expect(layout.scale * gauge.gaugeHeight).toBe(300);
+  });
+
+  it('gives the label beside the gauge the width the area spares', () => {
+    expect(
+      getGaugeLayout({ ...gauge, width: 1000, height: 400 })
+    ).toMatchObject({ isBeside: true, viewBoxWidth: 820, labelWidth: 400 });
+    expect(getGaugeLayout({ ...gauge, width: 600, height: 400 })).toMatchObject(
+      { isBeside: true, viewBoxWidth: 600, labelWidth: 180 }
+    );
+  });
+});
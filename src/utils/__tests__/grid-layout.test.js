@@ -0,0 +1,27 @@
+import { getGridLayout } from '../grid-layout';
+
+describe('getGridLayout', () => {
+  it('fills wide areas with columns', () => {
+    expect(getGridLayout({ count: 4, width: 800, height: 200 })).toEqual({
+      columns: 4,
+      rows: 1,
+      tileWidth: 200,
+      tileHeight: 200,
+    });
+  });
+
+  it('wraps tiles into the rows that make them the largest', () => {
+    expect(getGridLayout({ count: 5, width: 600, height: 400 })).toEqual({
+      columns: 3,
+      rows: 2,
+      tileWidth: 200,
+      tileHeight: 200,
+    });
+  });
+
+  it('takes the aspect ratio of tiles into account', () => {
+    expect(
+      getGridLayout({ count: 2, width: 400, height: 400, aspectRatio: 2 })
+    ).toMatchObject({ columns: 1, rows: 2 });
+  });
+});
@@ -0,0 +1,46 @@
+import { getHexagonPath, getHexbins } from '../hexbin';
+
+describe('getHexagonPath', () => {
+  it('draws a pointy-top hexagon', () => {
+    expect(getHexagonPath(2)).toBe(
+      'M0.00,-2.00L1.73,-1.00L1.73,1.00L0.00,2.00L-1.73,1.00L-1.73,-1.00Z'
+    );
+  });
+});
+
+describe('getHexbins', () => {
+  const radius = 10;
+  const columnWidth = radius * 2 * Math.sin(Math.PI / 3);
+
+  it('counts the points in each hexagon', () => {
+    const bins = getHexbins(
+      [
+        { x: 1, y: 1, color: 'red' },
+        { x: -2, y: 3, color: 'blue' },
+        { x: 2, y: -1, color: 'blue' },
+        { x: columnWidth, y: 0, color: 'red' },
+      ],
+      radius
+    );
+
+    expect(bins).toHaveLength(2);
+    expect(bins[0]).toEqual({ x: 0, y: 0, count: 3, color: 'blue' });
+    expect(bins[1]).toMatchObject({ y: 0, count: 1, color: 'red' });
+    expect(bins[1].x).toBeCloseTo(columnWidth);
+  });
+
+  it('offsets every other row by half a hexagon', () => {
+    const [bin] = getHexbins([{ x: columnWidth / 2, y: 15 }], radius);
+
+    expect(bin.x).toBeCloseTo(columnWidth / 2);
+    expect(bin.y).toBe(15);
+  });
+
+  it('assigns points near slanted edges to the nearest center', () => {
+    // closer to the center of the hexagon up and right than to the origin
+    const [bin] = getHexbins([{ x: 7, y: 10 }], radius);
+
+    expect(bin.x).toBeCloseTo(columnWidth / 2);
+    expect(bin.y).toBe(15);
+  });
+});
@@ -0,0 +1,32 @@
+import { isolateSeries, toggleSeries } from '../hidden-series';
+
+const labels = ['checkout', 'login', 'search'];
+
+describe('toggleSeries', () => {
+  it('hides a visible series', () => {
+    expect(toggleSeries([], 'login', labels)).toEqual(['login']);
+  });
+
+  it('shows a hidden series', () => {
+    expect(toggleSeries(['login', 'search'], 'login', labels)).toEqual([
+      'search',
+    ]);
+  });
+
+  it('shows all series instead of hiding the last visible one', () => {
+    expect(toggleSeries(['login', 'search'], 'checkout', labels)).toEqual([]);
+  });
+});
+
+describe('isolateSeries', () => {
+  it('hides all other series', () => {
+    expect(isolateSeries(['checkout'], 'checkout', labels)).toEqual([
+      'login',
+      'search',
+    ]);
+  });
+
+  it('shows all series when the series is already isolated', () => {
+    expect(isolateSeries(['login', 'search'], 'checkout', labels)).toEqual([]);
+  });
+});
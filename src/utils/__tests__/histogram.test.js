@@ -0,0 +1,64 @@
+import { AXIS_SCALES } from '../axis-scale';
+import { AXIS_TYPES } from '../axis-types';
+import { getBinEdges, getHistogramBins } from '../histogram';
+
+describe('getBinEdges', () => {
+  it('splits the domain into equally wide bins', () => {
+    expect(getBinEdges({ min: 0, max: 10 }, 4)).toEqual([0, 2.5, 5, 7.5, 10]);
+  });
+
+  it('spans the same number of powers of ten with every bin on log axes', () => {
+    const edges = getBinEdges({ min: 1, max: 1000 }, 3, {
+      scale: AXIS_SCALES.LOG,
+    });
+
+    [1, 10, 100, 1000].forEach((edge, index) =>
+      expect(edges[index]).toBeCloseTo(edge)
+    );
+  });
+
+  it('gives every category a bin of its own', () => {
+    const category = { type: AXIS_TYPES.CATEGORY };
+
+    expect(getBinEdges({ min: 0.5, max: 3.5 }, 20, category)).toEqual([
+      0.5, 1.5, 2.5, 3.5,
+    ]);
+    // a zoomed domain cuts the outer categories' bins short
+    expect(getBinEdges({ min: 1.2, max: 2.7 }, 20, category)).toEqual([
+      1.2, 1.5, 2.5, 2.7,
+    ]);
+  });
+});
+
+describe('getHistogramBins', () => {
+  it('counts values per group in every bin', () => {
+    const { groups, bins } = getHistogramBins(
+      [
+        { value: 1, group: 'a', color: 'red' },
+        { value: 4, group: 'b', color: 'blue' },
+        { value: 3, group: 'a', color: 'red' },
+        { value: 6, group: 'b', color: 'blue' },
+      ],
+      [0, 2, 4, 6]
+    );
+
+    expect(groups).toEqual([
+      { group: 'a', color: 'red' },
+      { group: 'b', color: 'blue' },
+    ]);
+    expect(bins).toEqual([
+      { start: 0, end: 2, count: 1, counts: [1, 0] },
+      { start: 2, end: 4, count: 1, counts: [1, 0] },
+      { start: 4, end: 6, count: 2, counts: [0, 2] },
+    ]);
+  });
+
+  it('leaves out values beyond the edges', () => {
+    const { bins } = getHistogramBins(
+      [{ value: -1 }, { value: 7 }, { value: 5 }],
+      [0, 5]
+    );
+
+    expect(bins).toEqual([{ start: 0, end: 5, count: 1, counts: [1] }]);
+  });
+});
@@ -0,0 +1,87 @@
+import { isolateSeries, toggleSeries } from '../hidden-series';
+import { DOUBLE_CLICK_DELAY, getLegendClickHandlers } from '../legend-clicks';
+
+const labels = ['checkout', 'login', 'search'];
+
+// a legend item for `label` that updates `state.hiddenSeries` like a chart
+const getItemHandlers = (state, label) =>
+  getLegendClickHandlers(() => ({
+    onToggle: () => {
+      state.hiddenSeries = toggleSeries(state.hiddenSeries, label, labels);
+    },
+    onIsolate: () => {
+      state.hiddenSeries = isolateSeries(state.hiddenSeries, label, labels);
+    },
+  }));
+
+const doubleClick = ({ onClick, onDoubleClick }) => {
+  onClick({ detail: 1 });
+  onClick({ detail: 2 });
+  onDoubleClick();
+};
+
+describe('getLegendClickHandlers', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('toggles the series once no second click follows', () => {
+    const state = { hiddenSeries: [] };
+
+    getItemHandlers(state, 'login').onClick({ detail: 1 });
+    expect(state.hiddenSeries).toEqual([]);
+
+    jest.advanceTimersByTime(DOUBLE_CLICK_DELAY);
+    expect(state.hiddenSeries).toEqual(['login']);
+  });
+
+  it('isolates the series on double-click without toggling it', () => {
+    const state = { hiddenSeries: [] };
+
+    doubleClick(getItemHandlers(state, 'login'));
+    jest.runAllTimers();
+
+    expect(state.hiddenSeries).toEqual(['checkout', 'search']);
+  });
+
+  it('shows all series on double-click of the only visible one', () => {
+    const state = { hiddenSeries: ['checkout', 'search'] };
+
+    doubleClick(getItemHandlers(state, 'login'));
+    jest.runAllTimers();
+
+    expect(state.hiddenSeries).toEqual([]);
+  });
+
+  it('isolates the series on shift-click right away', () => {
+    const state = { hiddenSeries: [] };
+
+    getItemHandlers(state, 'search').onClick({ shiftKey: true, detail: 1 });
+
+    expect(state.hiddenSeries).toEqual(['checkout', 'login']);
+  });
+
+  it('toggles right away when the series can not be isolated', () => {
+    const onToggle = jest.fn();
+
+    getLegendClickHandlers(() => ({ onToggle })).onClick({ detail: 1 });
+
+    expect(onToggle).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs the callbacks current when the delay ends', () => {
+    const callbacks = { onToggle: jest.fn(), onIsolate: jest.fn() };
+    const { onClick } = getLegendClickHandlers(() => callbacks);
+    const onToggle = jest.fn();
+
+    onClick({ detail: 1 });
+    callbacks.onToggle = onToggle;
+    jest.advanceTimersByTime(DOUBLE_CLICK_DELAY);
+
+    expect(onToggle).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,58 @@
+import {
+  getFittingItemCount,
+  getLegendColumnCount,
+  getLegendLayout,
+} from '../legend-layout';
+
+describe('getLegendLayout', () => {
+  it('places the legend below the chart by default', () => {
+    expect(getLegendLayout({ width: 800, height: 400 })).toEqual({
+      chartWidth: 800,
+      chartHeight: 334,
+      legendWidth: 800,
+      legendHeight: 50,
+    });
+  });
+
+  it('places the legend next to the chart', () => {
+    expect(
+      getLegendLayout({ position: 'right', width: 800, height: 400 })
+    ).toEqual({
+      chartWidth: 584,
+      chartHeight: 400,
+      legendWidth: 200,
+      legendHeight: 400,
+    });
+    expect(
+      getLegendLayout({ position: 'right', width: 300, height: 400 })
+        .legendWidth
+    ).toBe(120);
+  });
+
+  it('leaves all space to the chart when the legend is hidden', () => {
+    expect(
+      getLegendLayout({ position: 'hidden', width: 800, height: 400 })
+    ).toMatchObject({ chartWidth: 800, chartHeight: 400, legendHeight: 0 });
+  });
+});
+
+describe('getFittingItemCount', () => {
+  it('shows all items that fit', () => {
+    expect(
+      getFittingItemCount({ itemCount: 8, height: 50, columnCount: 4 })
+    ).toBe(8);
+  });
+
+  it('keeps a slot for the "+N more" entry when items overflow', () => {
+    expect(
+      getFittingItemCount({ itemCount: 12, height: 50, columnCount: 4 })
+    ).toBe(7);
+    expect(
+      getFittingItemCount({
+        itemCount: 30,
+        height: 240,
+        columnCount: getLegendColumnCount('right'),
+      })
+    ).toBe(9);
+  });
+});
@@ -0,0 +1,165 @@
+import {
+  getAllSeries,
+  normalizeNrqlData,
+  normalizeQueryData,
+} from '../nrql-data';
+
+import facetSingleAggregate from './fixtures/facet-single-aggregate.json';
+import facetTwoAggregates from './fixtures/facet-two-aggregates.json';
+import nonAggregate from './fixtures/non-aggregate.json';
+import singleValue from './fixtures/single-value.json';
+import timeseriesFacet from './fixtures/timeseries-facet.json';
+
+describe('normalizeQueryData', () => {
+  it('reads aggregates, facets and values of a faceted query', () => {
+    const model = normalizeQueryData(facetSingleAggregate);
+
+    expect(model.aggregates).toEqual(['average.duration']);
+    expect(model.facets).toEqual(['environment', 'appName']);
+    expect(model.attributes).toEqual([]);
+    expect(model.isTimeseries).toBe(false);
+    expect(model.series).toHaveLength(4);
+    expect(model.series[0]).toMatchObject({
+      queryIndex: 0,
+      color: '#a35ebf',
+      aggregate: 'average.duration',
+      aggregateIndex: 0,
+      facetLabel: 'production, checkout',
+      unitType: 'SECONDS',
+      value: 0.231,
+    });
+    expect(model.series[0].facets.map(({ value }) => value)).toEqual([
+      'production',
+      'checkout',
+    ]);
+  });
+
+  it('positions aggregates by first appearance rather than by series order', () => {
+    const { aggregates, series } = normalizeQueryData(facetTwoAggregates);
+
+    expect(aggregates).toEqual(['min.duration', 'max.duration']);
+    expect(
+      series.map(({ facetLabel, aggregateIndex }) => [
+        facetLabel,
+        aggregateIndex,
+      ])
+    ).toEqual([
+      ['checkout', 0],
+      ['checkout', 1],
+      ['login', 1],
+      ['login', 0],
+    ]);
+  });
+
+  it('reads TIMESERIES buckets', () => {
+    const model = normalizeQueryData(timeseriesFacet);
+
+    expect(model.isTimeseries).toBe(true);
+    expect(model.series[1].buckets).toEqual([
+      { begin: 1649998800000, end: 1650002400000, value: 45 },
+      { begin: 1650002400000, end: 1650006000000, value: null },
+      { begin: 1650006000000, end: 1650009600000, value: 61 },
+    ]);
+  });
+
+  it('reads a TIMESERIES query with a single bucket', () => {
+    const model = normalizeQueryData(
+      timeseriesFacet.map((entry) => ({
+        ...entry,
+        data: entry.data.slice(0, 1),
+      }))
+    );
+
+    expect(model.isTimeseries).toBe(true);
+    expect(model.series[0].buckets).toHaveLength(1);
+  });
+
+  it('reads selected attributes of a non-aggregate query', () => {
+    const model = normalizeQueryData(nonAggregate);
+
+    expect(model.attributes).toEqual(['duration', 'externalDuration']);
+    expect(model.isTimeseries).toBe(false);
+    expect(model.series[0].events).toHaveLength(3);
+    expect(model.series[0].unitsData.duration).toBe('SECONDS');
+  });
+
+  it('reads a single value query', () => {
+    const model = normalizeQueryData(singleValue);
+
+    expect(model.facets).toEqual([]);
+    expect(model.isTimeseries).toBe(false);
+    expect(model.series[0]).toMatchObject({
+      name: 'percentage.count',
+      facetLabel: '',
+      unitType: 'PERCENTAGE',
+      value: 97.34,
+    });
+  });
+
+  it('reads the period of COMPARE WITH series', () => {
+    const [entry] = singleValue;
+    const withComparison = (value) => ({
+      ...entry,
+      metadata: {
+        ...entry.metadata,
+        groups: [
+          ...entry.metadata.groups,
+          { type: 'comparison', name: 'comparison', value },
+        ],
+      },
+    });
+    const { series } = normalizeQueryData([
+      withComparison('current'),
+      withComparison('previous'),
+    ]);
+
+    expect(series.map(({ comparison }) => comparison)).toEqual([
+      'current',
+      'previous',
+    ]);
+    expect(normalizeQueryData(singleValue).series[0].comparison).toBe(
+      undefined
+    );
+  });
+
+  it('treats a missing facet value as null', () => {
+    const [entry] = facetTwoAggregates;
+    const { series } = normalizeQueryData([
+      {
+        ...entry,
+        metadata: {
+          ...entry.metadata,
+          groups: [entry.metadata.groups[0], { type: 'facet' }],
+        },
+      },
+    ]);
+
+    expect(series[0].facetLabel).toBe('null');
+  });
+});
+
+describe('normalizeNrqlData', () => {
+  it('returns a model per query of merged results', () => {
+    const merged = [
+      ...singleValue.map((series) => ({
+        ...series,
+        queryIndex: 0,
+        queryLabel: 'production',
+      })),
+      ...facetTwoAggregates.map((series) => ({
+        ...series,
+        queryIndex: 1,
+        queryLabel: 'staging',
+      })),
+    ];
+    const queries = normalizeNrqlData(merged);
+
+    expect(queries).toHaveLength(2);
+    expect(queries.map(({ queryLabel }) => queryLabel)).toEqual([
+      'production',
+      'staging',
+    ]);
+    expect(queries[1].aggregates).toEqual(['min.duration', 'max.duration']);
+    expect(getAllSeries(queries)).toHaveLength(5);
+  });
+});
@@ -0,0 +1,63 @@
+import { getProgressPercent, getProgressRange } from '../progress-range';
+
+describe('getProgressRange', () => {
+  it('takes values as fractions displayed as percentages by default', () => {
+    expect(getProgressRange({ unitType: 'UNKNOWN' })).toEqual({
+      min: 0,
+      max: 100,
+      unitType: 'PERCENTAGE',
+      isFraction: true,
+      hasCustomMax: false,
+    });
+  });
+
+  it('ranges percentages from 0 to 100', () => {
+    expect(getProgressRange({ unitType: 'PERCENTAGE', min: '' })).toEqual({
+      min: 0,
+      max: 100,
+      unitType: 'PERCENTAGE',
+      isFraction: false,
+      hasCustomMax: false,
+    });
+  });
+
+  it('ranges Apdex scores from 0 to 1', () => {
+    expect(getProgressRange({ unitType: 'APDEX' })).toEqual({
+      min: 0,
+      max: 1,
+      unitType: 'APDEX',
+      isFraction: false,
+      hasCustomMax: false,
+    });
+  });
+
+  it('prefers a max from data over the configured max', () => {
+    expect(
+      getProgressRange({
+        unitType: 'BYTES',
+        min: 10,
+        max: '200',
+        maxFromData: 500,
+      })
+    ).toEqual({
+      min: 10,
+      max: 500,
+      unitType: 'BYTES',
+      isFraction: false,
+      hasCustomMax: true,
+    });
+    expect(getProgressRange({ unitType: 'BYTES', max: '200' }).max).toBe(200);
+  });
+});
+
+describe('getProgressPercent', () => {
+  it('measures values along the range', () => {
+    expect(getProgressPercent(30, { min: 20, max: 70 })).toBe(20);
+  });
+
+  it('clamps values beyond the range', () => {
+    expect(getProgressPercent(-5, { min: 0, max: 50 })).toBe(0);
+    expect(getProgressPercent(80, { min: 0, max: 50 })).toBe(100);
+    expect(getProgressPercent(10, { min: 10, max: 10 })).toBe(100);
+  });
+});
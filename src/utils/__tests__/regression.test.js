@@ -0,0 +1,72 @@
+import { linearRegression, loess } from '../regression';
+
+describe('linearRegression', () => {
+  it('fits points on a line exactly', () => {
+    expect(
+      linearRegression([
+        { x: 1, y: 5 },
+        { x: 2, y: 7 },
+        { x: 4, y: 11 },
+      ])
+    ).toEqual({ slope: 2, intercept: 3, rSquared: 1 });
+  });
+
+  it('tells how much of the variance the line explains', () => {
+    const { slope, intercept, rSquared } = linearRegression([
+      { x: 0, y: 0 },
+      { x: 1, y: 2 },
+      { x: 2, y: 1 },
+      { x: 3, y: 3 },
+    ]);
+
+    expect(slope).toBeCloseTo(0.8);
+    expect(intercept).toBeCloseTo(0.3);
+    expect(rSquared).toBeCloseTo(0.64);
+  });
+
+  it('does not fit points that share an x value', () => {
+    expect(linearRegression([{ x: 1, y: 2 }])).toBe(null);
+    expect(
+      linearRegression([
+        { x: 1, y: 2 },
+        { x: 1, y: 3 },
+      ])
+    ).toBe(null);
+  });
+});
+
+describe('loess', () => {
+  it('follows points on a line', () => {
+    const points = Array.from({ length: 20 }, (_, x) => ({ x, y: 3 * x + 1 }));
+    const curve = loess(points, { steps: 5 });
+
+    expect(curve.map(({ x }) => x)).toEqual([0, 4.75, 9.5, 14.25, 19]);
+    curve.forEach(({ x, y }) => expect(y).toBeCloseTo(3 * x + 1));
+  });
+
+  it('smooths out noise', () => {
+    const points = Array.from({ length: 40 }, (_, x) => ({
+      x,
+      y: x + (x % 2 ? 4 : -4),
+    }));
+    const curve = loess(points, { bandwidth: 0.5, steps: 3 });
+
+    expect(Math.abs(curve[1].y - curve[1].x)).toBeLessThan(1);
+  });
+
+  it('needs points spread over x', () => {
+    expect(
+      loess([
+        { x: 1, y: 1 },
+        { x: 2, y: 2 },
+      ])
+    ).toEqual([]);
+    expect(
+      loess([
+        { x: 1, y: 1 },
+        { x: 1, y: 2 },
+        { x: 1, y: 3 },
+      ])
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,35 @@
+import { getSelectionSummary } from '../selection-summary';
+
+describe('getSelectionSummary', () => {
+  it('summarizes the values along each axis', () => {
+    expect(
+      getSelectionSummary([
+        { x: 1, y: 10 },
+        { x: 5, y: 40 },
+        { x: 3, y: 10 },
+      ])
+    ).toEqual({
+      count: 3,
+      x: { min: 1, max: 5, mean: 3 },
+      y: { min: 10, max: 40, mean: 20 },
+      groups: [],
+    });
+  });
+
+  it('counts the points of every group, most first', () => {
+    const { groups } = getSelectionSummary([
+      { x: 1, y: 1, facetGroupName: 'web', color: 'blue' },
+      { x: 2, y: 2, facetGroupName: 'worker', color: 'green' },
+      { x: 3, y: 3, facetGroupName: 'worker', color: 'green' },
+    ]);
+
+    expect(groups).toEqual([
+      { label: 'worker', color: 'green', count: 2 },
+      { label: 'web', color: 'blue', count: 1 },
+    ]);
+  });
+
+  it('summarizes nothing without points', () => {
+    expect(getSelectionSummary([])).toBeNull();
+  });
+});
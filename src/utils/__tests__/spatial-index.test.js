@@ -0,0 +1,25 @@
+import { createSpatialIndex } from '../spatial-index';
+
+describe('createSpatialIndex', () => {
+  const points = [
+    { x: 5, y: 5, id: 'a' },
+    { x: 18, y: 4, id: 'b' },
+    { x: 40, y: 40, id: 'c' },
+  ];
+  const index = createSpatialIndex(points, 10);
+
+  it('finds the nearest point', () => {
+    expect(index.findNearest(12, 5).id).toBe('b');
+    expect(index.findNearest(9, 6).id).toBe('a');
+  });
+
+  it('finds points in neighboring cells', () => {
+    // the position lies in the cell right of the point's
+    expect(index.findNearest(11, 5, 6).id).toBe('a');
+  });
+
+  it('finds nothing beyond the max distance', () => {
+    expect(index.findNearest(28, 28)).toBeNull();
+    expect(index.findNearest(28, 28, 20).id).toBe('c');
+  });
+});
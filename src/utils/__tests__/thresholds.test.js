@@ -0,0 +1,140 @@
+import Colors from '../../colors';
+import {
+  getColorStopBands,
+  getColorStopColor,
+  getColorStops,
+  getReferenceLines,
+  getThresholdBands,
+  getThresholdColor,
+  getThresholdLines,
+} from '../thresholds';
+
+describe('getThresholdColor', () => {
+  const { red6: red, green6: green } = Colors.base;
+
+  it('keeps the color from data without a critical threshold', () => {
+    expect(getThresholdColor(5, { criticalThreshold: '' }, '#a35ebf')).toBe(
+      '#a35ebf'
+    );
+  });
+
+  it('colors values at or above the threshold as critical', () => {
+    expect(getThresholdColor(5, { criticalThreshold: 10 })).toBe(green);
+    expect(getThresholdColor(10, { criticalThreshold: 10 })).toBe(red);
+  });
+
+  it('colors values above the threshold as successful', () => {
+    const thresholds = { criticalThreshold: 10, highValuesAreSuccess: true };
+
+    expect(getThresholdColor(11, thresholds)).toBe(green);
+    expect(getThresholdColor(10, thresholds)).toBe(red);
+  });
+});
+
+describe('getThresholdBands', () => {
+  it('shades values above the thresholds', () => {
+    expect(
+      getThresholdBands({ warningThreshold: 200, criticalThreshold: 500 })
+    ).toEqual([
+      { level: 'warning', from: 200, to: 500 },
+      { level: 'critical', from: 500, to: Infinity },
+    ]);
+  });
+
+  it('shades values below the thresholds when high values are success', () => {
+    expect(
+      getThresholdBands({
+        warningThreshold: 99.9,
+        criticalThreshold: 99,
+        highValuesAreSuccess: true,
+      })
+    ).toEqual([
+      { level: 'warning', from: 99, to: 99.9 },
+      { level: 'critical', from: -Infinity, to: 99 },
+    ]);
+  });
+
+  it('leaves out a warning band on the wrong side of the critical threshold', () => {
+    expect(
+      getThresholdBands({ warningThreshold: 600, criticalThreshold: 500 })
+    ).toEqual([{ level: 'critical', from: 500, to: Infinity }]);
+  });
+});
+
+describe('getThresholdLines', () => {
+  it('labels a line per threshold that is set', () => {
+    expect(getThresholdLines({ criticalThreshold: '500' })).toEqual([
+      { axis: 'y', value: 500, label: 'Critical', level: 'critical' },
+    ]);
+  });
+});
+
+describe('getReferenceLines', () => {
+  it('keeps configured lines that have a value', () => {
+    expect(
+      getReferenceLines([
+        { value: 0.3, label: 'SLO target' },
+        { axis: 'x', value: '12' },
+        { label: 'Incomplete' },
+      ])
+    ).toEqual([
+      { axis: 'y', value: 0.3, label: 'SLO target' },
+      { axis: 'x', value: 12, label: '' },
+    ]);
+    expect(getReferenceLines(undefined)).toEqual([]);
+  });
+});
+
+describe('getColorStops', () => {
+  it('sorts stops with a value and colors them by default', () => {
+    expect(
+      getColorStops([
+        { value: 99.9, label: 'OK' },
+        { value: '99', color: ' #f5a020 ', label: 'Warning' },
+        { label: 'Incomplete' },
+        { value: 0, label: 'Critical' },
+      ])
+    ).toEqual([
+      { value: 0, color: Colors.base.red6, label: 'Critical' },
+      { value: 99, color: '#f5a020', label: 'Warning' },
+      { value: 99.9, color: Colors.base.green6, label: 'OK' },
+    ]);
+    expect(getColorStops(undefined)).toEqual([]);
+  });
+});
+
+describe('getColorStopColor', () => {
+  const stops = [
+    { value: 50, color: 'yellow' },
+    { value: 90, color: 'red' },
+  ];
+
+  it('uses the color of the highest stop reached', () => {
+    expect(getColorStopColor(50, stops, 'blue')).toBe('yellow');
+    expect(getColorStopColor(95, stops, 'blue')).toBe('red');
+  });
+
+  it('keeps the color from data below every stop', () => {
+    expect(getColorStopColor(10, stops, 'blue')).toBe('blue');
+  });
+});
+
+describe('getColorStopBands', () => {
+  it('divides the domain between stops', () => {
+    expect(
+      getColorStopBands(
+        [
+          { value: -10, color: 'green' },
+          { value: 80, color: 'yellow' },
+          { value: 95, color: 'red' },
+          { value: 120, color: 'black' },
+        ],
+        { min: 0, max: 100 }
+      )
+    ).toEqual([
+      { from: 0, to: 80, color: 'green' },
+      { from: 80, to: 95, color: 'yellow' },
+      { from: 95, to: 100, color: 'red' },
+    ]);
+  });
+});
@@ -0,0 +1,33 @@
+import { DASHBOARD_TIME_RANGE, getTimeRange } from '../time-range';
+
+describe('getTimeRange', () => {
+  const dashboardTimeRange = {
+    begin_time: 1700000000000,
+    end_time: 1700003600000,
+    duration: null,
+  };
+
+  it('follows the dashboard without an override', () => {
+    expect(getTimeRange(dashboardTimeRange)).toBe(dashboardTimeRange);
+    expect(
+      getTimeRange(dashboardTimeRange, { since: DASHBOARD_TIME_RANGE })
+    ).toBe(dashboardTimeRange);
+    expect(getTimeRange(dashboardTimeRange, { since: '0' })).toBe(
+      dashboardTimeRange
+    );
+  });
+
+  it('looks back over the configured number of minutes', () => {
+    expect(getTimeRange(dashboardTimeRange, { since: '180' })).toEqual({
+      begin_time: null,
+      end_time: null,
+      duration: 3 * 60 * 60 * 1000,
+    });
+  });
+
+  it('returns the same time range for the same override', () => {
+    expect(getTimeRange(dashboardTimeRange, { since: '60' })).toBe(
+      getTimeRange({ ...dashboardTimeRange }, { since: '60' })
+    );
+  });
+});
@@ -0,0 +1,25 @@
+import { TRENDS, getBucketValues, getTrend } from '../trend';
+
+describe('getBucketValues', () => {
+  it('skips buckets without a value', () => {
+    expect(
+      getBucketValues([{ value: 3 }, { value: null }, { value: 0 }, {}])
+    ).toEqual([3, 0]);
+  });
+});
+
+describe('getTrend', () => {
+  it('takes rising values as bad', () => {
+    expect(getTrend(95, 97)).toBe(TRENDS.BAD);
+    expect(getTrend(97, 95)).toBe(TRENDS.GOOD);
+  });
+
+  it('takes rising values as good when high values are success', () => {
+    expect(getTrend(95, 97, true)).toBe(TRENDS.GOOD);
+    expect(getTrend(97, 95, true)).toBe(TRENDS.BAD);
+  });
+
+  it('takes unchanged values as neutral', () => {
+    expect(getTrend(97, 97, true)).toBe(TRENDS.NEUTRAL);
+  });
+});
@@ -0,0 +1,113 @@
+import truncateLabel, {
+  approximateTextWidth,
+  getTextWidth,
+  measureText,
+} from '../truncate-label';
+
+// every character is 10px wide
+const measureMonospace = (text) => Array.from(text).length * 10;
+
+describe('truncateLabel', () => {
+  it('returns labels that fit unchanged', () => {
+    expect(
+      truncateLabel('checkout', 80, { measureText: measureMonospace })
+    ).toBe('checkout');
+    expect(truncateLabel(1234, 40, { measureText: measureMonospace })).toBe(
+      '1234'
+    );
+  });
+
+  it('puts the ellipsis at the end by default', () => {
+    expect(
+      truncateLabel('api-prod-us-east-1', 100, {
+        measureText: measureMonospace,
+      })
+    ).toBe('api-pro...');
+  });
+
+  it('puts the ellipsis in the middle to keep the end of the label', () => {
+    expect(
+      truncateLabel('api-prod-web-01-us-east-1', 220, {
+        measureText: measureMonospace,
+        position: 'middle',
+      })
+    ).toBe('api-prod-...-us-east-1');
+  });
+
+  it('measures labels with the given style', () => {
+    const measure = jest.fn(measureMonospace);
+    const style = { fontSize: 20 };
+
+    truncateLabel('checkout', 50, { measureText: measure, style });
+
+    expect(measure).toHaveBeenCalledWith('checkout', style);
+  });
+
+  it('returns only the ellipsis when no character fits', () => {
+    expect(
+      truncateLabel('checkout', 5, { measureText: measureMonospace })
+    ).toBe('...');
+  });
+});
+
+describe('measureText', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  it('falls back to approximating widths without canvas support', () => {
+    const style = { fontSize: 10 };
+
+    expect(measureText('abc', style)).toBe(approximateTextWidth('abc', style));
+  });
+
+  it('measures text on a canvas with the font of the given style', () => {
+    const context = { measureText: jest.fn(() => ({ width: 42 })) };
+    global.document = {
+      createElement: () => ({ getContext: () => context }),
+    };
+
+    jest.isolateModules(() => {
+      const { measureText } = require('../truncate-label');
+
+      expect(
+        measureText('checkout', {
+          fontFamily: 'Open Sans',
+          fontWeight: 400,
+          fontSize: 12,
+        })
+      ).toBe(42);
+    });
+    expect(context.font).toBe('normal 400 12px Open Sans');
+    expect(context.measureText).toHaveBeenCalledWith('checkout');
+  });
+
+  it('falls back to approximating widths when canvas has no 2d context', () => {
+    global.document = { createElement: () => ({ getContext: () => null }) };
+
+    jest.isolateModules(() => {
+      const { measureText } = require('../truncate-label');
+
+      expect(measureText('abc', { fontSize: 10 })).toBe(
+        approximateTextWidth('abc', { fontSize: 10 })
+      );
+    });
+  });
+
+  it('approximates wide glyphs as wider than latin characters', () => {
+    const style = { fontSize: 10 };
+
+    expect(approximateTextWidth('東京', style)).toBeGreaterThan(
+      approximateTextWidth('ab', style)
+    );
+    expect(approximateTextWidth('il', style)).toBeLessThan(
+      approximateTextWidth('ab', style)
+    );
+  });
+
+  it('scales approximate widths with the font size', () => {
+    expect(getTextWidth('checkout', { style: { fontSize: 24 } })).toBe(
+      2 * getTextWidth('checkout', { style: { fontSize: 12 } })
+    );
+  });
+});
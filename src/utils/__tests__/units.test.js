@@ -0,0 +1,25 @@
+import { formatNumberTicks } from '../units';
+
+describe('formatNumberTicks', () => {
+  it('formats ticks with the decimals of the tick increment', () => {
+    expect(
+      formatNumberTicks({ unitType: 'MS', tick: 0.25, tickIncrement: 0.05 })
+    ).toBe('0.25ms');
+    expect(
+      formatNumberTicks({ unitType: 'COUNT', tick: 1500, tickIncrement: 500 })
+    ).toBe('1.5k');
+  });
+
+  it('formats every power of ten on log axes', () => {
+    const ticks = [0.001, 0.1, 10, 1000].map((tick) =>
+      formatNumberTicks({
+        unitType: 'SECONDS',
+        tick,
+        tickIncrement: 333,
+        scale: 'log',
+      })
+    );
+
+    expect(ticks).toEqual(['0.001s', '0.1s', '10.0s', '1.0ks']);
+  });
+});
@@ -0,0 +1,79 @@
+export const AXIS_SCALES = {
+  LINEAR: 'linear',
+  LOG: 'log',
+};
+
+const parseBound = (bound) => {
+  const value = parseFloat(bound);
+
+  return isNaN(value) ? null : value;
+};
+
+/**
+ * Returns whether a value can be placed on an axis: log axes only take
+ * positive values.
+ *
+ * @param {number} value
+ * @param {string} scale
+ * @returns {boolean}
+ */
+export const fitsScale = (value, scale) =>
+  scale !== AXIS_SCALES.LOG || value > 0;
+
+/**
+ * Returns the domain of an axis spanning the given values, such as the values
+ * of the data and of the reference lines along the axis. Missing values and
+ * values that don't fit the scale are left out.
+ *
+ * Linear axes that are `zeroBased` include zero. Fixed `min` and `max` bounds
+ * take precedence over the values, unless they don't fit the scale.
+ *
+ * @param {number[]} values
+ * @param {{scale: string, min: number|string, max: number|string, zeroBased: boolean}} axis
+ * @returns {{min: number, max: number}}
+ */
+export const getAxisDomain = (values, { scale, min, max, zeroBased }) => {
+  const scaledValues = values.filter(
+    (value) => Number.isFinite(value) && fitsScale(value, scale)
+  );
+
+  if (zeroBased && scale !== AXIS_SCALES.LOG) {
+    scaledValues.push(0);
+  }
+
+  const [fixedMin, fixedMax] = [min, max]
+    .map(parseBound)
+    .map((bound) => (bound !== null && fitsScale(bound, scale) ? bound : null));
+
+  return {
+    min: fixedMin ?? Math.min(...scaledValues),
+    max: fixedMax ?? Math.max(...scaledValues),
+  };
+};
+
+/**
+ * Returns the powers of ten within a domain to place ticks of a log axis at,
+ * skipping evenly between them when more than `tickCount` of them fit.
+ * Returns `undefined` to leave ticks to the chart when fewer than two of them
+ * fit.
+ *
+ * @param {{min: number, max: number}} domain
+ * @param {number} tickCount
+ * @returns {number[]|undefined}
+ */
+export const getLogTicks = ({ min, max }, tickCount) => {
+  const first = Math.ceil(Math.log10(min));
+  const last = Math.floor(Math.log10(max));
+  const decadeCount = last - first + 1;
+
+  if (!(decadeCount >= 2)) {
+    return undefined;
+  }
+
+  const step = Math.ceil(decadeCount / Math.max(tickCount, 2));
+
+  return Array.from({ length: Math.ceil(decadeCount / step) }, (_, index) =>
+    // keep powers of ten with a negative exponent exact, 10 ** -3 isn't
+    Number(`1e${first + index * step}`)
+  );
+};
@@ -0,0 +1,86 @@
+export const AXIS_TYPES = {
+  NUMBER: 'number',
+  TIME: 'time',
+  CATEGORY: 'category',
+};
+
+// share of the space between two categories their points spread over
+const JITTER_WIDTH = 0.6;
+
+const isPresent = (value) => value !== null && value !== undefined;
+
+/**
+ * Returns the type of axis that fits the values of an attribute: a time axis
+ * for timestamps, a categorical axis when any value isn't a number, such as a
+ * host name, and a numeric axis otherwise.
+ *
+ * @param {any[]} values
+ * @param {string} unitType
+ * @returns {string}
+ */
+export const getAxisType = (values, unitType) => {
+  if (unitType === 'TIMESTAMP') {
+    return AXIS_TYPES.TIME;
+  }
+
+  return values.some((value) => isPresent(value) && typeof value !== 'number')
+    ? AXIS_TYPES.CATEGORY
+    : AXIS_TYPES.NUMBER;
+};
+
+/**
+ * Returns the distinct values of a categorical attribute as text, in
+ * alphabetical order.
+ *
+ * @param {any[]} values
+ * @returns {string[]}
+ */
+export const getCategories = (values) =>
+  [...new Set(values.filter(isPresent).map(String))].sort((a, b) =>
+    a.localeCompare(b)
+  );
+
+/**
+ * Returns the position of a value along a categorical axis: categories are
+ * placed at 1, 2, 3 and so on, and every point is moved off the position of
+ * its category by a jitter, so that points of a category don't hide each
+ * other. The jitter is derived from the `seed` rather than random, so that
+ * points keep their place when a chart redraws.
+ *
+ * @param {any} value
+ * @param {string[]} categories
+ * @param {number} seed
+ * @returns {number|null}
+ */
+export const getCategoryPosition = (value, categories, seed) => {
+  const index = isPresent(value) ? categories.indexOf(String(value)) : -1;
+
+  if (index === -1) {
+    return null;
+  }
+
+  const random = Math.abs(Math.sin(seed * 12.9898 + 1) * 43758.5453) % 1;
+
+  return index + 1 + (random - 0.5) * JITTER_WIDTH;
+};
+
+/**
+ * Returns the positions of the categories within a domain to place ticks of
+ * a categorical axis at, skipping evenly between them when more than
+ * `tickCount` of them fit.
+ *
+ * @param {{min: number, max: number}} domain
+ * @param {number} categoryCount
+ * @param {number} tickCount
+ * @returns {number[]}
+ */
+export const getCategoryTicks = ({ min, max }, categoryCount, tickCount) => {
+  const first = Math.max(Math.ceil(min), 1);
+  const last = Math.min(Math.floor(max), categoryCount);
+  const step = Math.ceil((last - first + 1) / Math.max(tickCount, 1));
+
+  return Array.from(
+    { length: Math.max(Math.ceil((last - first + 1) / step), 0) },
+    (_, index) => first + index * step
+  );
+};
@@ -0,0 +1,56 @@
+/**
+ * Returns the parts of a box-and-whisker mark for the values of 2 to 5
+ * aggregates, taken in SELECT clause order, such as p5, p25, p50, p75 and
+ * p95:
+ *
+ * - 2 values are the bottom and top of the box,
+ * - 3 values are the bottom, median and top of the box,
+ * - 4 values are the ends of the whiskers, around the bottom and top of the
+ *   box,
+ * - 5 values are the ends of the whiskers, around the bottom, median and top
+ *   of the box.
+ *
+ * Without whiskers, `low` and `high` are the ends of the box. Without a median,
+ * `median` is undefined.
+ *
+ * @param {number[]} values
+ * @returns {{low: number, boxLow: number, median: number, boxHigh: number, high: number}}
+ */
+export const getBoxPlot = (values) => {
+  const [first, second, third, fourth, fifth] = values;
+
+  switch (values.length) {
+    case 3:
+      return {
+        low: first,
+        boxLow: first,
+        median: second,
+        boxHigh: third,
+        high: third,
+      };
+    case 4:
+      return {
+        low: first,
+        boxLow: second,
+        median: undefined,
+        boxHigh: third,
+        high: fourth,
+      };
+    case 5:
+      return {
+        low: first,
+        boxLow: second,
+        median: third,
+        boxHigh: fourth,
+        high: fifth,
+      };
+    default:
+      return {
+        low: first,
+        boxLow: first,
+        median: undefined,
+        boxHigh: second,
+        high: second,
+      };
+  }
+};
@@ -0,0 +1,50 @@
+export const COLOR_SCALES = {
+  AUTO: 'auto',
+  CATEGORICAL: 'categorical',
+  CONTINUOUS: 'continuous',
+};
+
+// perceptually uniform colors (viridis) from the lowest to the highest value,
+// which stay apart for color blind readers and in grayscale
+export const SEQUENTIAL_COLORS = [
+  '#440154',
+  '#3b528b',
+  '#21908d',
+  '#5dc963',
+  '#fde725',
+];
+
+const toRgb = (hex) =>
+  [1, 3, 5].map((index) => parseInt(hex.slice(index, index + 2), 16));
+
+const toHex = (rgb) =>
+  `#${rgb
+    .map((channel) => Math.round(channel).toString(16).padStart(2, '0'))
+    .join('')}`;
+
+/**
+ * Returns the color of a value on a continuous color scale spanning a domain,
+ * blending the two colors the value falls between. Values beyond the domain
+ * get the color of its nearest end, and every value of a domain without
+ * spread gets the middle color.
+ *
+ * @param {number} value
+ * @param {{min: number, max: number}} domain
+ * @param {string[]} colors hex colors, from the lowest to the highest value
+ * @returns {string}
+ */
+export const getContinuousColor = (
+  value,
+  { min, max },
+  colors = SEQUENTIAL_COLORS
+) => {
+  const share =
+    max > min ? Math.min(Math.max((value - min) / (max - min), 0), 1) : 0.5;
+  const position = share * (colors.length - 1);
+  const index = Math.min(Math.floor(position), colors.length - 2);
+  const [from, to] = [colors[index], colors[index + 1]].map(toRgb);
+
+  return toHex(
+    from.map((channel, i) => channel + (to[i] - channel) * (position - index))
+  );
+};
@@ -0,0 +1,110 @@
+// clauses that can follow a WHERE clause and so end its condition, or that
+// a new WHERE clause is added before
+const CLAUSES_AFTER_WHERE =
+  /\s(FACET|SINCE|UNTIL|TIMESERIES|LIMIT|COMPARE\s+WITH|WITH\s+TIMEZONE|ORDER\s+BY|EXTRAPOLATE|SLIDE\s+BY)\b/i;
+
+// facets on a function of attributes, such as `dateOf(timestamp)`
+const FUNCTION_FACET = /^\w+\(.*\)$/s;
+
+// attribute names are quoted, while function facets are already expressions
+const quoteFacet = (name) =>
+  FUNCTION_FACET.test(name) ? name : `\`${name.replace(/`/g, '``')}\``;
+
+const quoteValue = (value) =>
+  typeof value === 'string' ? `'${value.replace(/'/g, "\\'")}'` : `${value}`;
+
+/**
+ * Returns the NRQL condition matching the values of the given FACET clause
+ * groups, e.g. `` `appName` = 'checkout' AND `host` = 'web-01' ``. Facets on
+ * a function, such as `dateOf(timestamp)`, are matched on the function as is.
+ *
+ * Returns `null` for the "Other" facet, which summarizes all values outside
+ * the LIMIT and so can't be filtered on.
+ *
+ * @param {{name: string, value: string|number|boolean}[]} facets
+ * @returns {string|null}
+ */
+export const getFacetCondition = (facets) => {
+  if (!facets.length || facets.some(({ value }) => value === 'Other')) {
+    return null;
+  }
+
+  return facets
+    .map(({ name, value }) =>
+      value === null || value === undefined
+        ? `${quoteFacet(name)} IS NULL`
+        : `${quoteFacet(name)} = ${quoteValue(value)}`
+    )
+    .join(' AND ');
+};
+
+/**
+ * Blanks out string literals and everything between parentheses, keeping
+ * the length of the query, so that only its top-level clauses are searched.
+ * That leaves out the WHERE of functions such as `filter(count(*), WHERE …)`.
+ *
+ * @param {string} query
+ * @returns {string}
+ */
+const getTopLevel = (query) => {
+  let depth = 0;
+  let quote = null;
+
+  return Array.from(query, (char, index) => {
+    if (quote) {
+      if (char === quote && query[index - 1] !== '\\') {
+        quote = null;
+      }
+
+      return ' ';
+    }
+
+    if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+      return ' ';
+    }
+
+    if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth = Math.max(depth - 1, 0);
+      return ' ';
+    }
+
+    return depth > 0 ? ' ' : char;
+  }).join('');
+};
+
+/**
+ * Narrows a NRQL query down to the rows matching `condition`. An existing
+ * top-level WHERE clause is kept and combined with the condition. Otherwise,
+ * a WHERE clause is added before the clauses that follow it, if any.
+ *
+ * @param {string} query
+ * @param {string} condition
+ * @returns {string}
+ */
+export const addWhereCondition = (query, condition) => {
+  const trimmedQuery = query.trim();
+  const topLevel = getTopLevel(trimmedQuery);
+  const whereMatch = /\sWHERE\s/i.exec(topLevel);
+
+  if (!whereMatch) {
+    const nextClause = CLAUSES_AFTER_WHERE.exec(topLevel);
+    const clausesStart = nextClause ? nextClause.index : trimmedQuery.length;
+
+    return `${trimmedQuery.slice(
+      0,
+      clausesStart
+    )} WHERE ${condition}${trimmedQuery.slice(clausesStart)}`;
+  }
+
+  const conditionStart = whereMatch.index + whereMatch[0].length;
+  const rest = trimmedQuery.slice(conditionStart);
+  const nextClause = CLAUSES_AFTER_WHERE.exec(topLevel.slice(conditionStart));
+  const conditionEnd = nextClause ? nextClause.index : rest.length;
+
+  return `${trimmedQuery.slice(0, conditionStart)}(${rest
+    .slice(0, conditionEnd)
+    .trim()}) AND ${condition}${rest.slice(conditionEnd)}`;
+};
@@ -7,3 +7,10 @@ export const getFacetLabel = (groups) => {
     )
     .join(', ');
 };
+
+/**
+ * Prefixes a label with the label of the query its series came from. Series
+ * without a `queryLabel` (single query visualizations) keep their label as is.
+ */
+export const withQueryLabel = (label, queryLabel) =>
+  [queryLabel, label].filter((part) => part).join(', ');
@@ -0,0 +1,54 @@
+/**
+ * Places the label of a gauge below it, or beside it when that leaves the
+ * gauge larger in the given area, such as a wide and short dashboard tile.
+ * Returns the size of the view box holding the gauge and its label, scaled
+ * to fit the area, and the width left for the label.
+ *
+ * Beside the gauge, the label gets the width the area has to spare, between
+ * `minLabelWidth` and the width of the gauge.
+ *
+ * @param {{width: number, height: number, gaugeWidth: number, gaugeHeight: number, belowHeight: number, besideHeight: number, minLabelWidth: number, gap: number}} options
+ * @returns {{isBeside: boolean, viewBoxWidth: number, viewBoxHeight: number, labelWidth: number, scale: number}}
+ */
+export const getGaugeLayout = ({
+  width,
+  height,
+  gaugeWidth,
+  gaugeHeight,
+  belowHeight,
+  besideHeight,
+  minLabelWidth,
+  gap,
+}) => {
+  const getScale = (viewBoxWidth, viewBoxHeight) =>
+    Math.min(width / viewBoxWidth, height / viewBoxHeight);
+
+  const below = {
+    isBeside: false,
+    viewBoxWidth: gaugeWidth,
+    viewBoxHeight: gaugeHeight + belowHeight,
+    labelWidth: gaugeWidth,
+  };
+  const besideViewBoxHeight = Math.max(gaugeHeight, besideHeight);
+  const besideLabelWidth = Math.min(
+    Math.max(
+      (besideViewBoxHeight * width) / height - gaugeWidth - gap,
+      minLabelWidth
+    ),
+    gaugeWidth
+  );
+  const beside = {
+    isBeside: true,
+    viewBoxWidth: gaugeWidth + gap + besideLabelWidth,
+    viewBoxHeight: besideViewBoxHeight,
+    labelWidth: besideLabelWidth,
+  };
+  const [layout] = [below, beside]
+    .map((layout) => ({
+      ...layout,
+      scale: getScale(layout.viewBoxWidth, layout.viewBoxHeight),
+    }))
+    .sort((a, b) => b.scale - a.scale);
+
+  return layout;
+};
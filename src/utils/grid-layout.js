@@ -0,0 +1,31 @@
+/**
+ * Returns the grid that fits `count` tiles of the given aspect ratio (width
+ * over height) into an area, choosing the number of columns that makes the
+ * tiles the largest. Tiles are as wide as a column and as high as a row; the
+ * content of a tile is scaled to fit it.
+ *
+ * @param {{count: number, width: number, height: number, aspectRatio: number}} options
+ * @returns {{columns: number, rows: number, tileWidth: number, tileHeight: number}}
+ */
+export const getGridLayout = ({ count, width, height, aspectRatio = 1 }) => {
+  const columnCounts = Array.from(
+    { length: Math.max(count, 1) },
+    (_, index) => index + 1
+  );
+  const getScale = (columns) =>
+    Math.min(
+      width / columns,
+      (height / Math.ceil(count / columns)) * aspectRatio
+    );
+  const columns = columnCounts.reduce((best, columns) =>
+    getScale(columns) > getScale(best) ? columns : best
+  );
+  const rows = Math.max(Math.ceil(count / columns), 1);
+
+  return {
+    columns,
+    rows,
+    tileWidth: width / columns,
+    tileHeight: height / rows,
+  };
+};
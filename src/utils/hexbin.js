@@ -0,0 +1,80 @@
+/**
+ * Returns the corners of a hexagon with a pointy top, centered on the origin,
+ * as an SVG path.
+ *
+ * @param {number} radius
+ * @returns {string}
+ */
+export const getHexagonPath = (radius) =>
+  `M${Array.from({ length: 6 }, (_, corner) => {
+    const angle = (corner * Math.PI) / 3;
+
+    return [Math.sin(angle) * radius, -Math.cos(angle) * radius]
+      .map((value) => value.toFixed(2))
+      .join(',');
+  }).join('L')}Z`;
+
+/**
+ * Groups points into the hexagons of a grid of hexagons with the given
+ * radius, which tiles the plane with pointy-top hexagons in rows offset by
+ * half a hexagon. Returns the center of each hexagon holding any points, how
+ * many it holds and the color most of them have.
+ *
+ * @param {{x: number, y: number, color: string}[]} points
+ * @param {number} radius
+ * @returns {{x: number, y: number, count: number, color: string}[]}
+ */
+export const getHexbins = (points, radius) => {
+  const columnWidth = radius * 2 * Math.sin(Math.PI / 3);
+  const rowHeight = radius * 1.5;
+  const bins = new Map();
+
+  points.forEach(({ x, y, color }) => {
+    const rowPosition = y / rowHeight;
+    let row = Math.round(rowPosition);
+    const columnPosition = x / columnWidth - (row & 1) / 2;
+    let column = Math.round(columnPosition);
+    const rowOffset = rowPosition - row;
+
+    // near the slanted edges of a hexagon, the point may lie in the
+    // neighboring row's hexagon instead
+    if (Math.abs(rowOffset) * 3 > 1) {
+      const columnOffset = columnPosition - column;
+      const otherColumn = column + (columnPosition < column ? -1 : 1) / 2;
+      const otherRow = row + (rowPosition < row ? -1 : 1);
+      const otherColumnOffset = columnPosition - otherColumn;
+      const otherRowOffset = rowPosition - otherRow;
+
+      if (
+        columnOffset ** 2 + rowOffset ** 2 >
+        otherColumnOffset ** 2 + otherRowOffset ** 2
+      ) {
+        column = otherColumn + (row & 1 ? 1 : -1) / 2;
+        row = otherRow;
+      }
+    }
+
+    const key = `${column}:${row}`;
+
+    if (!bins.has(key)) {
+      bins.set(key, {
+        x: (column + (row & 1) / 2) * columnWidth,
+        y: row * rowHeight,
+        count: 0,
+        colors: new Map(),
+      });
+    }
+
+    const bin = bins.get(key);
+
+    bin.count++;
+    bin.colors.set(color, (bin.colors.get(color) ?? 0) + 1);
+  });
+
+  return [...bins.values()].map(({ colors, ...bin }) => ({
+    ...bin,
+    color: [...colors.entries()].reduce((acc, curr) =>
+      curr[1] > acc[1] ? curr : acc
+    )[0],
+  }));
+};
@@ -0,0 +1,38 @@
+/**
+ * Shows a hidden series or hides a visible one. Hiding the last visible series
+ * shows all series again rather than leaving an empty chart.
+ *
+ * @param {string[]} hiddenSeries labels of the currently hidden series
+ * @param {string} label label of the series to toggle
+ * @param {string[]} labels labels of all series
+ * @returns {string[]}
+ */
+export const toggleSeries = (hiddenSeries, label, labels) => {
+  if (hiddenSeries.includes(label)) {
+    return hiddenSeries.filter((hiddenLabel) => hiddenLabel !== label);
+  }
+
+  const nextHiddenSeries = [...hiddenSeries, label];
+
+  return labels.every((seriesLabel) => nextHiddenSeries.includes(seriesLabel))
+    ? []
+    : nextHiddenSeries;
+};
+
+/**
+ * Hides all series but the given one. Isolating the series that is already
+ * the only visible one shows all series again.
+ *
+ * @param {string[]} hiddenSeries labels of the currently hidden series
+ * @param {string} label label of the series to isolate
+ * @param {string[]} labels labels of all series
+ * @returns {string[]}
+ */
+export const isolateSeries = (hiddenSeries, label, labels) => {
+  const otherLabels = labels.filter((seriesLabel) => seriesLabel !== label);
+  const isIsolated =
+    !hiddenSeries.includes(label) &&
+    otherLabels.every((seriesLabel) => hiddenSeries.includes(seriesLabel));
+
+  return isIsolated ? [] : otherLabels;
+};
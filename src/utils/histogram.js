@@ -0,0 +1,89 @@
+import { AXIS_SCALES } from './axis-scale';
+import { AXIS_TYPES } from './axis-types';
+
+/**
+ * Returns the edges of the bins values along an axis are counted in, from the
+ * axis min to its max. Bins are equally wide on screen: on log axes, each
+ * spans the same number of powers of ten. Along categorical axes, where
+ * categories sit at whole positions, each category gets a bin of its own and
+ * `binCount` is ignored.
+ *
+ * @param {{min: number, max: number}} domain
+ * @param {number} binCount
+ * @param {{type: string, scale: string}} axis
+ * @returns {number[]}
+ */
+export const getBinEdges = ({ min, max }, binCount, { type, scale } = {}) => {
+  if (type === AXIS_TYPES.CATEGORY) {
+    const edges = [min];
+
+    for (let edge = Math.floor(min - 0.5) + 1.5; edge < max; edge++) {
+      edges.push(edge);
+    }
+
+    return [...edges, max];
+  }
+
+  if (scale === AXIS_SCALES.LOG && min > 0) {
+    return getBinEdges(
+      { min: Math.log10(min), max: Math.log10(max) },
+      binCount
+    ).map((edge) => 10 ** edge);
+  }
+
+  return Array.from(
+    { length: binCount + 1 },
+    (_, index) => min + ((max - min) * index) / binCount
+  );
+};
+
+/**
+ * Counts values in the bins between the given edges, per group. Values beyond
+ * the first and last edge are left out.
+ *
+ * Groups are listed in the order they first appear in, and every bin holds
+ * its count of each of them in that same order, so bins stack groups alike.
+ *
+ * @param {{value: number, group: string, color: string}[]} items
+ * @param {number[]} edges
+ * @returns {{groups: {group: string, color: string}[], bins: {start: number, end: number, count: number, counts: number[]}[]}}
+ */
+export const getHistogramBins = (items, edges) => {
+  const groups = [];
+  const bins = edges.slice(1).map((end, index) => ({
+    start: edges[index],
+    end,
+    count: 0,
+    counts: [],
+  }));
+
+  items.forEach(({ value, group, color }) => {
+    // the last bin also holds values at the last edge
+    const bin = bins.find(
+      ({ start, end }, index) =>
+        value >= start &&
+        (value < end || (index === bins.length - 1 && value === end))
+    );
+
+    if (!bin) {
+      return;
+    }
+
+    let groupIndex = groups.findIndex((item) => item.group === group);
+
+    if (groupIndex === -1) {
+      groupIndex = groups.push({ group, color }) - 1;
+    }
+
+    bin.count++;
+    bin.counts[groupIndex] = (bin.counts[groupIndex] ?? 0) + 1;
+  });
+
+  return {
+    groups,
+    bins: bins.map((bin) => ({
+      ...bin,
+      counts: groups.map((_, index) => bin.counts[index] ?? 0),
+    })),
+  };
+};
@@ -0,0 +1,65 @@
+// how long a click waits for a second one before it counts as a single click
+export const DOUBLE_CLICK_DELAY = 250;
+
+/**
+ * Returns the `onClick` and `onDoubleClick` handlers of a legend item that
+ * toggles its series on click and isolates it on shift-click or double-click.
+ *
+ * Browsers fire both clicks of a double-click before the `dblclick` event, so
+ * a click only toggles once no second click follows within `delay`. That way
+ * a double-click isolates the series without toggling it twice first. Call
+ * `cancel` to drop a pending toggle, e.g. when the item unmounts.
+ *
+ * The `onToggle` and `onIsolate` callbacks are read through `getCallbacks`
+ * when they run rather than when the handlers are created, so a pending
+ * toggle runs the callback of the item as it is when the delay ends.
+ *
+ * @param {function(): {onToggle: Function, onIsolate: Function}} getCallbacks
+ * @param {number} delay
+ * @returns {{onClick: Function, onDoubleClick: Function, cancel: Function}}
+ */
+export const getLegendClickHandlers = (
+  getCallbacks,
+  delay = DOUBLE_CLICK_DELAY
+) => {
+  let pendingToggle = null;
+
+  const cancel = () => {
+    clearTimeout(pendingToggle);
+    pendingToggle = null;
+  };
+
+  const onClick = ({ shiftKey, detail }) => {
+    const { onToggle, onIsolate } = getCallbacks();
+
+    if (shiftKey && onIsolate) {
+      cancel();
+      onIsolate();
+      return;
+    }
+
+    // the second click of a double-click is left to `onDoubleClick`
+    if (detail > 1) {
+      return;
+    }
+
+    // without isolation, there is no double-click to wait for
+    if (!onIsolate) {
+      onToggle();
+      return;
+    }
+
+    cancel();
+    pendingToggle = setTimeout(() => {
+      pendingToggle = null;
+      getCallbacks().onToggle?.();
+    }, delay);
+  };
+
+  const onDoubleClick = () => {
+    cancel();
+    getCallbacks().onIsolate?.();
+  };
+
+  return { onClick, onDoubleClick, cancel };
+};
@@ -0,0 +1,86 @@
+export const LEGEND_POSITIONS = {
+  BOTTOM: 'bottom',
+  RIGHT: 'right',
+  HIDDEN: 'hidden',
+};
+
+export const LEGEND_OVERFLOW = {
+  SCROLL: 'scroll',
+  MORE: 'more',
+};
+
+const BOTTOM_LEGEND_HEIGHT = 50;
+const SPACE_BELOW_LEGEND = 16;
+const SPACE_LEFT_OF_LEGEND = 16;
+const RIGHT_LEGEND_MIN_WIDTH = 120;
+const RIGHT_LEGEND_MAX_WIDTH = 240;
+
+// height of a row of legend items, including the gap between rows
+const LEGEND_ROW_HEIGHT = 24;
+
+/**
+ * Splits the available space between a chart and its legend.
+ *
+ * A bottom legend takes a fixed height below the chart, a right legend takes
+ * about a quarter of the width next to the chart and a hidden legend leaves
+ * all space to the chart.
+ *
+ * @param {{position: string, width: number, height: number}} options
+ * @returns {{chartWidth: number, chartHeight: number, legendWidth: number, legendHeight: number}}
+ */
+export const getLegendLayout = ({ position, width, height }) => {
+  switch (position) {
+    case LEGEND_POSITIONS.HIDDEN:
+      return {
+        chartWidth: width,
+        chartHeight: height,
+        legendWidth: 0,
+        legendHeight: 0,
+      };
+    case LEGEND_POSITIONS.RIGHT: {
+      const legendWidth = Math.min(
+        RIGHT_LEGEND_MAX_WIDTH,
+        Math.max(RIGHT_LEGEND_MIN_WIDTH, width * 0.25)
+      );
+
+      return {
+        chartWidth: width - legendWidth - SPACE_LEFT_OF_LEGEND,
+        chartHeight: height,
+        legendWidth,
+        legendHeight: height,
+      };
+    }
+    default:
+      return {
+        chartWidth: width,
+        chartHeight: height - BOTTOM_LEGEND_HEIGHT - SPACE_BELOW_LEGEND,
+        legendWidth: width,
+        legendHeight: BOTTOM_LEGEND_HEIGHT,
+      };
+  }
+};
+
+/**
+ * Returns the number of legend items per row. A right legend lists its items
+ * one per row.
+ *
+ * @param {string} position
+ * @returns {number}
+ */
+export const getLegendColumnCount = (position) =>
+  position === LEGEND_POSITIONS.RIGHT ? 1 : 4;
+
+/**
+ * Returns how many legend items to show before a "+N more" entry, so that all
+ * rows fit the legend height. Keeps the last slot free for the "+N more"
+ * entry when not all items fit.
+ *
+ * @param {{itemCount: number, height: number, columnCount: number}} options
+ * @returns {number}
+ */
+export const getFittingItemCount = ({ itemCount, height, columnCount }) => {
+  const rowCount = Math.max(1, Math.floor(height / LEGEND_ROW_HEIGHT));
+  const capacity = rowCount * columnCount;
+
+  return itemCount <= capacity ? itemCount : capacity - 1;
+};
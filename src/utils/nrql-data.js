@@ -0,0 +1,142 @@
+import { getFacetLabel } from './facets';
+import { groupByQuery } from './nrql-queries';
+
+// keys NRQL adds to every entry of `data` and `metadata.units_data`, as
+// opposed to attributes selected in a non-aggregate query
+const INJECTED_KEYS = ['begin_time', 'end_time', 'x', 'y', 'timestamp'];
+
+const getAggregateGroup = (groups) =>
+  groups.find(({ type, value }) => type === 'function' && value !== 'series');
+
+const getUniqueDisplayNames = (rawData, getGroups) =>
+  Array.from(
+    rawData.reduce((acc, { metadata }) => {
+      getGroups(metadata?.groups ?? []).forEach(({ displayName }) =>
+        acc.add(displayName)
+      );
+      return acc;
+    }, new Set())
+  );
+
+/**
+ * Returns the display names of the aggregate functions in the order they
+ * first appear across series. That is SELECT clause order, unless the first
+ * series of a FACET query lack some of the aggregates.
+ */
+const getAggregates = (rawData) =>
+  getUniqueDisplayNames(rawData, (groups) => {
+    const aggregateGroup = getAggregateGroup(groups);
+    return aggregateGroup ? [aggregateGroup] : [];
+  });
+
+/**
+ * Returns the display names of the FACET clause attributes in the order they
+ * appear in the FACET clause.
+ */
+const getFacets = (rawData) =>
+  getUniqueDisplayNames(rawData, (groups) =>
+    groups.filter(({ type }) => type === 'facet')
+  );
+
+/**
+ * Returns the names of the attributes selected by a non-aggregate query, in
+ * the order they appear in the SELECT clause.
+ */
+const getAttributes = (rawData) => {
+  const { metadata } = rawData[0];
+  const groupValues = (metadata?.groups ?? []).map(({ value }) => value);
+
+  return Object.keys(metadata?.units_data ?? {}).filter(
+    (key) => !INJECTED_KEYS.includes(key) && !groupValues.includes(key)
+  );
+};
+
+/**
+ * Turns a single entry of NrqlQuery output into a series of the normalized
+ * model. See `normalizeQueryData` for the shape of the model.
+ */
+const normalizeSeries = (
+  { data, metadata, queryIndex = 0, queryLabel },
+  aggregates
+) => {
+  const groups = metadata?.groups ?? [];
+  const aggregate = getAggregateGroup(groups)?.displayName;
+  const rows = data ?? [];
+
+  return {
+    queryIndex,
+    queryLabel,
+    name: metadata?.name,
+    color: metadata?.color,
+    aggregate,
+    aggregateIndex: aggregates.indexOf(aggregate),
+    facets: groups.filter(({ type }) => type === 'facet'),
+    facetLabel: getFacetLabel(groups),
+    comparison: groups.find(({ type }) => type === 'comparison')?.value,
+    unitType: metadata?.units_data?.y,
+    unitsData: metadata?.units_data ?? {},
+    value: rows[0]?.y,
+    buckets: rows.map(({ begin_time, end_time, y }) => ({
+      begin: begin_time,
+      end: end_time,
+      value: y,
+    })),
+    events: rows,
+  };
+};
+
+/**
+ * Turns the NrqlQuery output of a single query into a typed model.
+ *
+ * `aggregates` holds display names in the order `getAggregates` finds them,
+ * and `facets` in FACET clause order. `attributes` holds the attributes selected by a non-aggregate query.
+ *
+ * Each series carries the position of its aggregate in the SELECT clause as
+ * `aggregateIndex`, its FACET clause groups as `facets`, its unit as
+ * `unitType` and its values both as a single `value` and as TIMESERIES
+ * `buckets`. Non-aggregate queries keep their rows as `events`. Series of a
+ * query with a COMPARE WITH clause tell the period they cover as
+ * `comparison`: "current" or "previous".
+ *
+ * @param {{data: Object[], metadata: Object, queryIndex: number, queryLabel: string}[]} rawData
+ * @returns {{queryIndex: number, queryLabel: string, aggregates: string[], facets: string[], attributes: string[], isTimeseries: boolean, series: Object[]}}
+ */
+export const normalizeQueryData = (rawData) => {
+  const aggregates = getAggregates(rawData);
+  const series = rawData.map((entry) => normalizeSeries(entry, aggregates));
+  const attributes = getAttributes(rawData);
+  // a TIMESERIES query can return a single bucket, so the flag it is tagged
+  // with tells it apart rather than the number of buckets
+  const isTimeseries =
+    aggregates.length > 0 &&
+    attributes.length === 0 &&
+    rawData.some(({ metadata }) => Boolean(metadata?.timeSeries));
+
+  return {
+    queryIndex: series[0].queryIndex,
+    queryLabel: series[0].queryLabel,
+    aggregates,
+    facets: getFacets(rawData),
+    attributes,
+    isTimeseries,
+    series,
+  };
+};
+
+/**
+ * Turns (merged) NrqlQuery output into one normalized model per query.
+ *
+ * @param {Object[]} rawData
+ * @returns {Object[]}
+ */
+export const normalizeNrqlData = (rawData) =>
+  groupByQuery(rawData).map(normalizeQueryData);
+
+/**
+ * Returns the series of all of the given normalized query models.
+ *
+ * @param {{series: Object[]}[]} queries
+ * @returns {Object[]}
+ */
+export const getAllSeries = (queries) =>
+  queries.flatMap(({ series }) => series);
@@ -0,0 +1,37 @@
+/**
+ * Returns the entries of the `nrqlQueries` prop that have both an account ID
+ * and a query. Entries that are still being filled in are ignored.
+ *
+ * @param {{accountId: number, query: string, label: string}[]} nrqlQueries
+ * @returns {{accountId: number, query: string, label: string}[]}
+ */
+export const getConfiguredQueries = (nrqlQueries) =>
+  (nrqlQueries ?? []).filter((entry) => entry?.accountId && entry?.query);
+
+/**
+ * Returns the label used to tell apart the series of one query from those of
+ * the other queries. Falls back to the position of the query in the list.
+ *
+ * @param {{label: string}} nrqlQuery
+ * @param {number} queryIndex
+ * @returns {string}
+ */
+export const getQueryLabel = (nrqlQuery, queryIndex) =>
+  nrqlQuery?.label || `Query ${queryIndex + 1}`;
+
+/**
+ * Splits merged query results back into one array of series per query, using
+ * the `queryIndex` each series is tagged with.
+ *
+ * @param {{queryIndex: number}[]} data
+ * @returns {{queryIndex: number}[][]}
+ */
+export const groupByQuery = (data) =>
+  Object.values(
+    data.reduce((acc, series) => {
+      const { queryIndex = 0 } = series;
+
+      acc[queryIndex] = [...(acc[queryIndex] ?? []), series];
+      return acc;
+    }, {})
+  );
@@ -0,0 +1,54 @@
+// the max of values of units with a fixed range
+const UNIT_MAXES = {
+  APDEX: 1,
+  PERCENTAGE: 100,
+};
+
+const parseBound = (bound) => {
+  const value = parseFloat(bound);
+
+  return isNaN(value) ? null : value;
+};
+
+/**
+ * Returns the range progress is measured over, in the unit progress is
+ * displayed in.
+ *
+ * The max comes from a second aggregate (`maxFromData`), such as a capacity,
+ * or from the configuration. Without either, percentages range from 0 to 100,
+ * Apdex scores from 0 to 1 and any other value is taken as a 0 to 1 fraction,
+ * which is displayed as a percentage: `isFraction` is then set and `unitType`
+ * is "PERCENTAGE". `hasCustomMax` tells whether the max came from either.
+ *
+ * @param {{unitType: string, min: number|string, max: number|string, maxFromData: number}} options
+ * @returns {{min: number, max: number, unitType: string, isFraction: boolean, hasCustomMax: boolean}}
+ */
+export const getProgressRange = ({ unitType, min, max, maxFromData }) => {
+  const customMax = maxFromData ?? parseBound(max);
+  const hasCustomMax = customMax !== null && customMax !== undefined;
+  const isFraction = !hasCustomMax && !UNIT_MAXES[unitType];
+
+  return {
+    min: parseBound(min) ?? 0,
+    max: hasCustomMax ? customMax : UNIT_MAXES[unitType] ?? 100,
+    unitType: isFraction ? 'PERCENTAGE' : unitType,
+    isFraction,
+    hasCustomMax,
+  };
+};
+
+/**
+ * Returns how far a value is along a range, from 0 to 100. Values beyond the
+ * range are clamped to it.
+ *
+ * @param {number} value
+ * @param {{min: number, max: number}} range
+ * @returns {number}
+ */
+export const getProgressPercent = (value, { min, max }) => {
+  if (max <= min) {
+    return value >= max ? 100 : 0;
+  }
+
+  return Math.min(Math.max(((value - min) / (max - min)) * 100, 0), 100);
+};
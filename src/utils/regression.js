@@ -0,0 +1,131 @@
+export const TREND_LINE_TYPES = {
+  NONE: 'none',
+  LINEAR: 'linear',
+  LOESS: 'loess',
+};
+
+// share of the points each LOESS fit is weighted over
+const DEFAULT_BANDWIDTH = 0.3;
+// number of x values LOESS curves are evaluated at
+const DEFAULT_STEPS = 50;
+
+const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+
+/**
+ * Fits a line through weighted points by least squares. Returns `null` when
+ * the points don't determine a line: when there are fewer than two of them,
+ * or when they all share the same x value.
+ *
+ * @param {{x: number, y: number}[]} points
+ * @param {number[]} weights
+ * @returns {{slope: number, intercept: number}|null}
+ */
+const fitLine = (points, weights = points.map(() => 1)) => {
+  const totalWeight = sum(weights);
+
+  if (points.length < 2 || totalWeight === 0) {
+    return null;
+  }
+
+  const xMean = sum(points.map(({ x }, i) => x * weights[i])) / totalWeight;
+  const yMean = sum(points.map(({ y }, i) => y * weights[i])) / totalWeight;
+  const xVariance = sum(
+    points.map(({ x }, i) => weights[i] * (x - xMean) ** 2)
+  );
+
+  if (xVariance === 0) {
+    return null;
+  }
+
+  const covariance = sum(
+    points.map(({ x, y }, i) => weights[i] * (x - xMean) * (y - yMean))
+  );
+  const slope = covariance / xVariance;
+
+  return { slope, intercept: yMean - slope * xMean };
+};
+
+/**
+ * Fits a line through points by least squares, along with its coefficient of
+ * determination (R²): the share of the variance of y the line explains.
+ * Returns `null` when the points don't determine a line.
+ *
+ * @param {{x: number, y: number}[]} points
+ * @returns {{slope: number, intercept: number, rSquared: number}|null}
+ */
+export const linearRegression = (points) => {
+  const line = fitLine(points);
+
+  if (!line) {
+    return null;
+  }
+
+  const { slope, intercept } = line;
+  const yMean = sum(points.map(({ y }) => y)) / points.length;
+  const totalSquares = sum(points.map(({ y }) => (y - yMean) ** 2));
+  const residualSquares = sum(
+    points.map(({ x, y }) => (y - (slope * x + intercept)) ** 2)
+  );
+
+  return {
+    slope,
+    intercept,
+    // points on a horizontal line are fully explained by it
+    rSquared: totalSquares === 0 ? 1 : 1 - residualSquares / totalSquares,
+  };
+};
+
+/**
+ * Smooths points with LOESS: at evenly spaced x values, fits a line through
+ * the nearest `bandwidth` share of the points, weighted by their distance
+ * with a tricube kernel. Returns the fitted points of the smooth curve, or
+ * an empty array when the points don't determine a curve.
+ *
+ * @param {{x: number, y: number}[]} points
+ * @param {{bandwidth: number, steps: number}} options
+ * @returns {{x: number, y: number}[]}
+ */
+export const loess = (
+  points,
+  { bandwidth = DEFAULT_BANDWIDTH, steps = DEFAULT_STEPS } = {}
+) => {
+  if (points.length < 3) {
+    return [];
+  }
+
+  const xValues = points.map(({ x }) => x);
+  const xMin = Math.min(...xValues);
+  const xMax = Math.max(...xValues);
+
+  if (xMin === xMax) {
+    return [];
+  }
+
+  const neighborCount = Math.min(
+    Math.max(Math.ceil(bandwidth * points.length), 3),
+    points.length
+  );
+
+  return Array.from({ length: steps }, (_, step) => {
+    const x = xMin + ((xMax - xMin) * step) / (steps - 1);
+    const distances = xValues.map((value) => Math.abs(value - x));
+    const maxDistance = [...distances].sort((a, b) => a - b)[neighborCount - 1];
+    const weights = distances.map((distance) =>
+      maxDistance === 0 || distance >= maxDistance
+        ? Number(distance === 0)
+        : (1 - (distance / maxDistance) ** 3) ** 3
+    );
+    const line = fitLine(points, weights);
+
+    if (!line) {
+      // neighbors sharing a single x value fit their weighted mean
+      const totalWeight = sum(weights);
+
+      return totalWeight
+        ? { x, y: sum(points.map(({ y }, i) => y * weights[i])) / totalWeight }
+        : null;
+    }
+
+    return { x, y: line.slope * x + line.intercept };
+  }).filter((point) => point !== null);
+};
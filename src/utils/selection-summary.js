@@ -0,0 +1,46 @@
+/**
+ * Returns the smallest, largest and mean of the given values.
+ *
+ * @param {number[]} values
+ * @returns {{min: number, max: number, mean: number}}
+ */
+const getStats = (values) => ({
+  min: Math.min(...values),
+  max: Math.max(...values),
+  mean: values.reduce((acc, value) => acc + value, 0) / values.length,
+});
+
+/**
+ * Summarizes selected points: how many there are, the smallest, largest and
+ * mean value along each axis, and how many of them every legend group holds,
+ * most first. Points without a `facetGroupName` aren't counted in any group.
+ * Returns `null` when no points are selected.
+ *
+ * @param {{x: number, y: number, facetGroupName: string, color: string}[]} points
+ * @returns {{count: number, x: {min: number, max: number, mean: number}, y: {min: number, max: number, mean: number}, groups: {label: string, color: string, count: number}[]}|null}
+ */
+export const getSelectionSummary = (points) => {
+  if (!points.length) {
+    return null;
+  }
+
+  const groups = points.reduce((acc, { facetGroupName: label, color }) => {
+    if (label === undefined) {
+      return acc;
+    }
+
+    if (!acc[label]) {
+      acc[label] = { label, color, count: 0 };
+    }
+
+    acc[label].count++;
+    return acc;
+  }, {});
+
+  return {
+    count: points.length,
+    x: getStats(points.map(({ x }) => x)),
+    y: getStats(points.map(({ y }) => y)),
+    groups: Object.values(groups).sort((a, b) => b.count - a.count),
+  };
+};
@@ -0,0 +1,53 @@
+/**
+ * Indexes points by the square cell of a grid they lie in, so the point
+ * nearest to a position can be found by searching the cells around it rather
+ * than every point.
+ *
+ * `findNearest` returns the point nearest to a position, or `null` when no
+ * point lies within `maxDistance` of it, which defaults to the cell size.
+ *
+ * @param {{x: number, y: number}[]} points
+ * @param {number} cellSize
+ * @returns {{findNearest: function(number, number, number): Object|null}}
+ */
+export const createSpatialIndex = (points, cellSize) => {
+  const cells = new Map();
+  const getCell = (value) => Math.floor(value / cellSize);
+  const getKey = (column, row) => `${column}:${row}`;
+
+  points.forEach((point) => {
+    const key = getKey(getCell(point.x), getCell(point.y));
+
+    if (!cells.has(key)) {
+      cells.set(key, []);
+    }
+
+    cells.get(key).push(point);
+  });
+
+  const findNearest = (x, y, maxDistance = cellSize) => {
+    // cells as far away as the max distance may hold the nearest point
+    const reach = Math.ceil(maxDistance / cellSize);
+    const column = getCell(x);
+    const row = getCell(y);
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (let i = column - reach; i <= column + reach; i++) {
+      for (let j = row - reach; j <= row + reach; j++) {
+        for (const point of cells.get(getKey(i, j)) ?? []) {
+          const distance = Math.hypot(point.x - x, point.y - y);
+
+          if (distance <= maxDistance && distance < nearestDistance) {
+            nearest = point;
+            nearestDistance = distance;
+          }
+        }
+      }
+    }
+
+    return nearest;
+  };
+
+  return { findNearest };
+};
@@ -0,0 +1,201 @@
+import Colors from '../colors';
+
+export const THRESHOLD_LEVELS = {
+  WARNING: 'warning',
+  CRITICAL: 'critical',
+};
+
+const THRESHOLD_LABELS = {
+  [THRESHOLD_LEVELS.WARNING]: 'Warning',
+  [THRESHOLD_LEVELS.CRITICAL]: 'Critical',
+};
+
+/**
+ * Returns a threshold entered in the visualization configuration as a number,
+ * or `null` when it is not set.
+ *
+ * @param {number|string} threshold
+ * @returns {number|null}
+ */
+export const parseThreshold = (threshold) => {
+  const value = parseFloat(threshold);
+
+  return isNaN(value) ? null : value;
+};
+
+/**
+ * Returns the color of a value given the critical threshold: `green6` for
+ * values on the successful side of the threshold, `red6` otherwise. Values
+ * keep `colorFromData` when no critical threshold is set.
+ *
+ * @param {number} value
+ * @param {{criticalThreshold: number, highValuesAreSuccess: boolean}} thresholds
+ * @param {string} colorFromData
+ * @returns {string}
+ */
+export const getThresholdColor = (
+  value,
+  { criticalThreshold, highValuesAreSuccess },
+  colorFromData
+) => {
+  const { red6: red, green6: green } = Colors.base;
+  const threshold = parseThreshold(criticalThreshold);
+
+  if (threshold === null) {
+    return colorFromData;
+  }
+
+  if (highValuesAreSuccess) {
+    return value > threshold ? green : red;
+  }
+
+  return value < threshold ? green : red;
+};
+
+/**
+ * Returns the value-axis bands shaded for the warning and critical
+ * thresholds. Bands reach from their threshold to the end of the axis beyond
+ * it (`-Infinity` or `Infinity`), or to the next threshold.
+ *
+ * @param {{warningThreshold: number, criticalThreshold: number, highValuesAreSuccess: boolean}} thresholds
+ * @returns {{level: string, from: number, to: number}[]}
+ */
+export const getThresholdBands = ({
+  warningThreshold,
+  criticalThreshold,
+  highValuesAreSuccess,
+}) => {
+  const warning = parseThreshold(warningThreshold);
+  const critical = parseThreshold(criticalThreshold);
+  const bands = [];
+
+  if (highValuesAreSuccess) {
+    if (warning !== null) {
+      bands.push({
+        level: THRESHOLD_LEVELS.WARNING,
+        from: critical ?? -Infinity,
+        to: warning,
+      });
+    }
+
+    if (critical !== null) {
+      bands.push({
+        level: THRESHOLD_LEVELS.CRITICAL,
+        from: -Infinity,
+        to: critical,
+      });
+    }
+  } else {
+    if (warning !== null) {
+      bands.push({
+        level: THRESHOLD_LEVELS.WARNING,
+        from: warning,
+        to: critical ?? Infinity,
+      });
+    }
+
+    if (critical !== null) {
+      bands.push({
+        level: THRESHOLD_LEVELS.CRITICAL,
+        from: critical,
+        to: Infinity,
+      });
+    }
+  }
+
+  return bands.filter(({ from, to }) => to > from);
+};
+
+/**
+ * Returns the labeled value-axis lines drawn at the warning and critical
+ * thresholds.
+ *
+ * @param {{warningThreshold: number, criticalThreshold: number}} thresholds
+ * @returns {{axis: string, value: number, label: string, level: string}[]}
+ */
+export const getThresholdLines = ({ warningThreshold, criticalThreshold }) =>
+  [
+    [THRESHOLD_LEVELS.WARNING, parseThreshold(warningThreshold)],
+    [THRESHOLD_LEVELS.CRITICAL, parseThreshold(criticalThreshold)],
+  ]
+    .filter(([, value]) => value !== null)
+    .map(([level, value]) => ({
+      axis: 'y',
+      value,
+      label: THRESHOLD_LABELS[level],
+      level,
+    }));
+
+/**
+ * Returns the reference lines of the visualization configuration that have a
+ * value. Lines run across the value (y) axis unless their `axis` is "x".
+ *
+ * @param {{axis: string, value: number, label: string}[]} referenceLines
+ * @returns {{axis: string, value: number, label: string}[]}
+ */
+export const getReferenceLines = (referenceLines) =>
+  (referenceLines ?? [])
+    .map((line) => ({
+      axis: line?.axis === 'x' ? 'x' : 'y',
+      value: parseThreshold(line?.value),
+      label: line?.label ?? '',
+    }))
+    .filter(({ value }) => value !== null);
+
+// colors of color stops without one of their own, in order: ok, warning and
+// critical
+const DEFAULT_STOP_COLORS = [
+  Colors.base.green6,
+  Colors.base.yellow6,
+  Colors.base.red6,
+];
+
+/**
+ * Returns the color stops of the visualization configuration that have a
+ * value, from the lowest value to the highest. Stops without a color of their
+ * own are colored green, yellow and red in the order they are configured.
+ *
+ * @param {{value: number, color: string, label: string}[]} colorStops
+ * @returns {{value: number, color: string, label: string}[]}
+ */
+export const getColorStops = (colorStops) =>
+  (colorStops ?? [])
+    .map((stop, index) => ({
+      value: parseThreshold(stop?.value),
+      color:
+        stop?.color?.trim() ||
+        DEFAULT_STOP_COLORS[Math.min(index, DEFAULT_STOP_COLORS.length - 1)],
+      label: stop?.label ?? '',
+    }))
+    .filter(({ value }) => value !== null)
+    .sort((a, b) => a.value - b.value);
+
+/**
+ * Returns the color of the highest stop at or below the value. Values below
+ * every stop keep `colorFromData`.
+ *
+ * @param {number} value
+ * @param {{value: number, color: string}[]} stops sorted by value
+ * @param {string} colorFromData
+ * @returns {string}
+ */
+export const getColorStopColor = (value, stops, colorFromData) =>
+  stops.filter((stop) => stop.value <= value).pop()?.color ?? colorFromData;
+
+/**
+ * Returns the bands that color stops divide a domain into: every stop reaches
+ * from its value to the next stop or the end of the domain. Stops beyond the
+ * domain are left out or clamped to it.
+ *
+ * @param {{value: number, color: string}[]} stops sorted by value
+ * @param {{min: number, max: number}} domain
+ * @returns {{from: number, to: number, color: string}[]}
+ */
+export const getColorStopBands = (stops, { min, max }) =>
+  stops
+    .map(({ value, color }, index) => ({
+      from: Math.max(value, min),
+      to: Math.min(stops[index + 1]?.value ?? max, max),
+      color,
+    }))
+    .filter(({ from, to }) => to > from);
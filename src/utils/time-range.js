@@ -0,0 +1,36 @@
+// value of the time range setting that follows the dashboard time picker
+export const DASHBOARD_TIME_RANGE = 'dashboard';
+
+const MINUTE = 60 * 1000;
+
+// time ranges of overrides by their number of minutes, so that every render
+// passes the same object and NrqlQuery doesn't see a changed time range
+const overrideTimeRanges = new Map();
+
+/**
+ * Returns the time range a widget queries: the dashboard's, unless the widget
+ * overrides it with a number of minutes to look back over (`since`). Returns
+ * the same object for as long as the dashboard time range, or the override,
+ * stays the same.
+ *
+ * @param {{begin_time: number, end_time: number, duration: number}} dashboardTimeRange
+ * @param {{since: string}} override
+ * @returns {{begin_time: number, end_time: number, duration: number}}
+ */
+export const getTimeRange = (dashboardTimeRange, { since } = {}) => {
+  const minutes = parseFloat(since);
+
+  if (!(minutes > 0)) {
+    return dashboardTimeRange;
+  }
+
+  if (!overrideTimeRanges.has(minutes)) {
+    overrideTimeRanges.set(minutes, {
+      begin_time: null,
+      end_time: null,
+      duration: minutes * MINUTE,
+    });
+  }
+
+  return overrideTimeRanges.get(minutes);
+};
@@ -0,0 +1,41 @@
+import Colors from '../colors';
+
+export const TRENDS = {
+  GOOD: 'good',
+  BAD: 'bad',
+  NEUTRAL: 'neutral',
+};
+
+export const TREND_COLORS = {
+  [TRENDS.GOOD]: Colors.base.green6,
+  [TRENDS.BAD]: Colors.base.red6,
+  [TRENDS.NEUTRAL]: Colors.base.gray6,
+};
+
+/**
+ * Returns the values of TIMESERIES buckets that have one, in time order.
+ *
+ * @param {{value: number}[]} buckets
+ * @returns {number[]}
+ */
+export const getBucketValues = (buckets) =>
+  buckets
+    .map(({ value }) => value)
+    .filter((value) => value !== null && value !== undefined);
+
+/**
+ * Returns whether a change from one value to another is good or bad: rising
+ * values are bad unless high values are success.
+ *
+ * @param {number} from
+ * @param {number} to
+ * @param {boolean} highValuesAreSuccess
+ * @returns {string}
+ */
+export const getTrend = (from, to, highValuesAreSuccess) => {
+  if (to === from) {
+    return TRENDS.NEUTRAL;
+  }
+
+  return to > from === Boolean(highValuesAreSuccess) ? TRENDS.GOOD : TRENDS.BAD;
+};
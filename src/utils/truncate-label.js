@@ -1,44 +1,146 @@
-const NARROW_CHARS = ['i', 'l', 'j', ',', '.', ';', '!', '1'];
-const DEFAULT_APPROX_CHAR_WIDTH = 10;
-const APPROX_NARROW_CHAR_RATIO = 0.5;
-
-const guessCharWidth = (char, { approxCharWidth }) =>
-  NARROW_CHARS.includes(char)
-    ? approxCharWidth * APPROX_NARROW_CHAR_RATIO
-    : approxCharWidth;
-
-const getTruncatedText = (chars, maxWidth, { approxCharWidth }) => {
-  const { text } = chars.reduce(
-    ({ totalWidth, text }, char) => {
-      const charWidth = guessCharWidth(char, { approxCharWidth });
-      const newWidth = totalWidth + charWidth;
-
-      return {
-        totalWidth: newWidth,
-        text: newWidth > maxWidth ? text : text + char,
-      };
-    },
-    { totalWidth: 0, text: '' }
+import { baseLabelStyles } from '../theme';
+
+const ELLIPSIS = '...';
+
+// Used to approximate text widths where no canvas is available to measure
+// them, relative to the font size.
+const NARROW_CHARS = ['i', 'l', 'j', ',', '.', ';', ':', '!', '|', "'", '1'];
+// Hangul, CJK and fullwidth forms
+const WIDE_CHARS =
+  /[\u1100-\u115f\u2e80-\u303e\u3041-\u33ff\u3400-\u4dbf\u4e00-\u9fff\ua960-\ua97f\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/;
+const APPROX_CHAR_WIDTH_RATIO = 0.6;
+const APPROX_NARROW_CHAR_WIDTH_RATIO = 0.3;
+const APPROX_WIDE_CHAR_WIDTH_RATIO = 1;
+
+const getFont = ({ fontStyle = 'normal', fontWeight, fontSize, fontFamily }) =>
+  `${fontStyle} ${fontWeight} ${fontSize}px ${fontFamily}`;
+
+const approximateCharWidth = (char, { fontSize }) => {
+  if (NARROW_CHARS.includes(char)) {
+    return fontSize * APPROX_NARROW_CHAR_WIDTH_RATIO;
+  }
+
+  return WIDE_CHARS.test(char)
+    ? fontSize * APPROX_WIDE_CHAR_WIDTH_RATIO
+    : fontSize * APPROX_CHAR_WIDTH_RATIO;
+};
+
+/**
+ * Approximates the width of a text based on the font size, for environments
+ * without canvas support such as jsdom.
+ *
+ * @param {string} text
+ * @param {{fontSize: number}} style
+ * @returns {number}
+ */
+export const approximateTextWidth = (text, style) =>
+  Array.from(text).reduce(
+    (totalWidth, char) => totalWidth + approximateCharWidth(char, style),
+    0
   );
 
-  return text;
+let canvasContext;
+
+const getCanvasContext = () => {
+  if (canvasContext === undefined) {
+    canvasContext =
+      typeof document === 'undefined'
+        ? null
+        : document.createElement('canvas').getContext?.('2d') ?? null;
+  }
+
+  return canvasContext;
+};
+
+/**
+ * Measures the width of a text rendered with the given label styles, using
+ * the canvas `measureText` API. Falls back to `approximateTextWidth` where
+ * canvas isn't supported.
+ *
+ * @param {string} text
+ * @param {{fontFamily: string, fontWeight: number, fontSize: number}} style
+ * @returns {number}
+ */
+export const measureText = (text, style) => {
+  const context = getCanvasContext();
+
+  if (!context) {
+    return approximateTextWidth(text, style);
+  }
+
+  context.font = getFont(style);
+  return context.measureText(text).width;
+};
+
+/**
+ * Returns the width of a label. Uses the axis label styles of the theme
+ * unless `style` is given, and `measureText` unless another measurer is
+ * injected.
+ *
+ * @param {string|number} text
+ * @param {{measureText: function, style: Object}} options
+ * @returns {number}
+ */
+export const getTextWidth = (
+  text,
+  { measureText: measure = measureText, style = baseLabelStyles } = {}
+) => measure(`${text}`, style);
+
+const getCandidate = (chars, keptCount, position) => {
+  if (position === 'middle') {
+    // favor the end of the label, which tells similar labels apart
+    const tailCount = Math.ceil(keptCount / 2);
+    const headCount = keptCount - tailCount;
+
+    return `${chars.slice(0, headCount).join('')}${ELLIPSIS}${chars
+      .slice(chars.length - tailCount)
+      .join('')}`;
+  }
+
+  return `${chars.slice(0, keptCount).join('')}${ELLIPSIS}`;
 };
 
+/**
+ * Shortens a label to fit `maxWidth`, replacing the removed characters with
+ * an ellipsis. The ellipsis goes at the end of the label, or in its middle
+ * when `position` is "middle" so that both the start and the end of the label
+ * stay visible, e.g. `api-prod-...-us-east-1`.
+ *
+ * Accepts the same `measureText` and `style` options as `getTextWidth`.
+ *
+ * @param {string|number} text
+ * @param {number} maxWidth
+ * @param {{measureText: function, style: Object, position: 'end'|'middle'}} options
+ * @returns {string}
+ */
 const truncateLabel = (
   text,
   maxWidth,
-  { approxCharWidth = DEFAULT_APPROX_CHAR_WIDTH } = {}
+  { position = 'end', ...options } = {}
 ) => {
-  const chars = text.split('');
-  const guessedTextWidth = chars.reduce(
-    (totalWidth, char) =>
-      totalWidth + guessCharWidth(char, { approxCharWidth }),
-    0
-  );
+  const label = `${text}`;
+
+  if (getTextWidth(label, options) <= maxWidth) {
+    return label;
+  }
+
+  // binary search for the most characters that fit next to the ellipsis
+  const chars = Array.from(label);
+  let low = 0;
+  let high = chars.length - 1;
+
+  while (low < high) {
+    const keptCount = Math.ceil((low + high) / 2);
+    const candidate = getCandidate(chars, keptCount, position);
+
+    if (getTextWidth(candidate, options) <= maxWidth) {
+      low = keptCount;
+    } else {
+      high = keptCount - 1;
+    }
+  }
 
-  return guessedTextWidth > maxWidth
-    ? `${getTruncatedText(chars, maxWidth, { approxCharWidth })}...`
-    : text;
+  return getCandidate(chars, low, position);
 };
 
 export default truncateLabel;
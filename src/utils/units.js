@@ -1,6 +1,8 @@
 import numeral from 'numeral';
 import { format } from 'date-fns';
 
+import { AXIS_SCALES } from './axis-scale';
+
 const TYPES_TO_UNITS = {
   APDEX: '',
   BITS: 'b',
@@ -48,9 +50,22 @@ const formatDecimals = ({ tick, tickIncrement }) => {
 
 export const typeToUnit = (unitType) => TYPES_TO_UNITS[unitType];
 
-export const formatNumberTicks = ({ unitType, tick, tickIncrement }) => {
+/**
+ * Formats an axis tick with its unit. Ticks get as many decimals as the
+ * increment between ticks needs. On log axes, where the increment grows with
+ * every power of ten, that is the power of ten of the tick itself.
+ */
+export const formatNumberTicks = ({ unitType, tick, tickIncrement, scale }) => {
   if (unitType === 'TIMESTAMP') {
     return format(new Date(tick), 'MM/dd/yyyy HH:mm');
   }
-  return `${formatDecimals({ tick, tickIncrement })}${typeToUnit(unitType)}`;
+
+  const increment =
+    scale === AXIS_SCALES.LOG && tick > 0
+      ? Number(`1e${Math.floor(Math.log10(tick))}`)
+      : tickIncrement;
+
+  return `${formatDecimals({ tick, tickIncrement: increment })}${typeToUnit(
+    unitType
+  )}`;
 };
@@ -0,0 +1,89 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { NrqlQuery, PlatformStateContext, Spinner } from 'nr1';
+
+import MultiNrqlQuery from '../multi-nrql-query';
+import NoDataState from '../no-data-state';
+import NrqlQueryError from '../nrql-query-error';
+import { normalizeNrqlData } from '../utils/nrql-data';
+import { getTimeRange } from '../utils/time-range';
+
+/**
+ * Runs a visualization's NRQL queries over the dashboard time range, or the
+ * widget's own one, polling for new data. Renders the loading, error and empty
+ * states, and `children` with the normalized queries once they are valid.
+ */
+const VisualizationQuery = ({
+  nrqlQueries,
+  timeRange: timeRangeOverride,
+  pollInterval,
+  isValid,
+  unsupportedDescription,
+  children,
+}) => (
+  <PlatformStateContext.Consumer>
+    {({ timeRange }) => (
+      <MultiNrqlQuery
+        nrqlQueries={nrqlQueries}
+        pollInterval={pollInterval}
+        timeRange={getTimeRange(timeRange, timeRangeOverride)}
+      >
+        {({ data, loading, error }) => {
+          if (loading) {
+            return <Spinner />;
+          }
+
+          if (error && data === null) {
+            return (
+              <NrqlQueryError
+                title="NRQL Syntax Error"
+                description={error.message}
+              />
+            );
+          }
+
+          if (!data.length) {
+            return <NoDataState />;
+          }
+
+          const queries = normalizeNrqlData(data);
+
+          if (!isValid(queries)) {
+            return (
+              <NrqlQueryError
+                title="Unsupported NRQL query"
+                description={unsupportedDescription}
+              />
+            );
+          }
+
+          return children(queries);
+        }}
+      </MultiNrqlQuery>
+    )}
+  </PlatformStateContext.Consumer>
+);
+
+VisualizationQuery.propTypes = {
+  nrqlQueries: PropTypes.arrayOf(
+    PropTypes.shape({
+      accountId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      query: PropTypes.string,
+      label: PropTypes.string,
+    })
+  ).isRequired,
+  timeRange: PropTypes.shape({
+    since: PropTypes.string,
+  }),
+  pollInterval: PropTypes.number,
+  isValid: PropTypes.func,
+  unsupportedDescription: PropTypes.string,
+  children: PropTypes.func.isRequired,
+};
+
+VisualizationQuery.defaultProps = {
+  pollInterval: NrqlQuery.AUTO_POLL_INTERVAL,
+  isValid: () => true,
+};
+
+export default VisualizationQuery;
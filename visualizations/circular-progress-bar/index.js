@@ -1,20 +1,32 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { VictoryPie, VictoryAnimation, VictoryLabel } from 'victory';
 import {
-  Card,
-  CardBody,
-  HeadingText,
-  NrqlQuery,
-  Spinner,
-  AutoSizer,
-  PlatformStateContext,
-} from 'nr1';
-import NrqlQueryError from '../../src/nrql-query-error';
+  VictoryPie,
+  VictoryAnimation,
+  VictoryLabel,
+  VictoryLine,
+} from 'victory';
+import { Card, CardBody, HeadingText, AutoSizer } from 'nr1';
 import NoDataState from '../../src/no-data-state';
+import VisualizationQuery from '../../src/visualization-query';
 import { baseLabelStyles } from '../../src/theme';
-import { getUniqueAggregatesAndFacets } from '../../src/utils/nrql-validation-helper';
-import Colors from '../../src/colors';
+import { withQueryLabel } from '../../src/utils/facets';
+import { getGridLayout } from '../../src/utils/grid-layout';
+import { getConfiguredQueries } from '../../src/utils/nrql-queries';
+import {
+  getProgressPercent,
+  getProgressRange,
+} from '../../src/utils/progress-range';
+import truncateLabel from '../../src/utils/truncate-label';
+import { TREND_COLORS, getBucketValues, getTrend } from '../../src/utils/trend';
+import {
+  getColorStopBands,
+  getColorStopColor,
+  getColorStops,
+  getThresholdColor,
+} from '../../src/utils/thresholds';
+import { formatNumberTicks } from '../../src/utils/units';
+import { getGaugeLayout } from '../../src/utils/gauge-layout';
 
 const BOUNDS = {
   X: 400,
@@ -25,6 +37,232 @@ const LABEL_SIZE = 24;
 const LABEL_PADDING = 10;
 const CHART_WIDTH = BOUNDS.X;
 const CHART_HEIGHT = BOUNDS.Y - LABEL_SIZE - LABEL_PADDING;
+const CHART_PADDING = 10;
+const OUTER_RADIUS = Math.min(CHART_WIDTH, CHART_HEIGHT) / 2 - CHART_PADDING;
+const RING_WIDTH = OUTER_RADIUS - 135;
+// bounds of the ring thickness, as a percentage of the outer radius
+const MIN_THICKNESS = 5;
+const MAX_THICKNESS = 60;
+const RING_GAP = 6;
+// the innermost ring never gets closer to the center than this, leaving room
+// for the value labels
+const MIN_INNER_RADIUS = 100;
+const VALUE_LABEL_SIZE = 45;
+const MULTI_VALUE_LABEL_SIZE = 20;
+const MAX_LABEL_SIZE = 18;
+// color stops are listed below the label, growing the view box by a row
+const STOP_LABEL_SIZE = 16;
+const STOP_LABEL_GAP = 16;
+// in wide areas, the label and color stops are placed right of the gauge
+const SIDE_LABEL_GAP = 24;
+const MIN_SIDE_LABEL_WIDTH = 160;
+const SCALE_LABEL_SIZE = 16;
+const SCALE_LABEL_GAP = 4;
+// a single ring shows a sparkline and the change since the previous period
+// under its value
+const SPARKLINE_WIDTH = 120;
+const SPARKLINE_HEIGHT = 28;
+const DELTA_LABEL_SIZE = 16;
+const TREND_GAP = 8;
+const ARROW_UP = '\u25B2';
+const ARROW_DOWN = '\u25BC';
+
+// the angles each gauge shape spans, in degrees clockwise from the top, and
+// how far below its center it reaches as a share of its radius
+const SHAPES = {
+  ring: { startAngle: 0, endAngle: 360, depth: 1 },
+  arc: { startAngle: -135, endAngle: 135, depth: Math.SQRT1_2 },
+  semicircle: { startAngle: -90, endAngle: 90, depth: 0 },
+};
+
+/**
+ * Returns the ring width for a thickness given as a percentage of the outer
+ * radius.
+ *
+ * @param {number} thickness
+ * @returns {number}
+ */
+const getRingWidth = (thickness) => {
+  const percentage = parseFloat(thickness);
+
+  return isNaN(percentage)
+    ? RING_WIDTH
+    : (OUTER_RADIUS *
+        Math.min(Math.max(percentage, MIN_THICKNESS), MAX_THICKNESS)) /
+        100;
+};
+
+/**
+ * Returns the layout of a gauge shape in the view box: the angles the shape
+ * spans, the vertical position of its center and of its label, and the
+ * height of the view box. Open shapes leave room below the ends of their
+ * rings for the scale, so that wide widgets are not left with a half empty
+ * view box.
+ *
+ * @param {{shape: string, ringWidth: number, hasColorStops: boolean}} options
+ * @returns {{startAngle: number, endAngle: number, depth: number, isClosed: boolean, centerY: number, labelY: number, viewBoxHeight: number}}
+ */
+const getShapeLayout = ({ shape, ringWidth, hasColorStops }) => {
+  const { startAngle, endAngle, depth } = SHAPES[shape] ?? SHAPES.ring;
+  const isClosed = endAngle - startAngle >= 360;
+  const centerY = CHART_PADDING + OUTER_RADIUS;
+  const scaleHeight = isClosed
+    ? 0
+    : ringWidth / 2 + SCALE_LABEL_GAP + SCALE_LABEL_SIZE;
+  const labelY =
+    centerY +
+    depth * OUTER_RADIUS +
+    scaleHeight +
+    CHART_PADDING +
+    LABEL_PADDING;
+  const height = labelY + LABEL_SIZE;
+
+  return {
+    startAngle,
+    endAngle,
+    depth,
+    isClosed,
+    centerY,
+    labelY,
+    viewBoxHeight: hasColorStops
+      ? height + STOP_LABEL_GAP + STOP_LABEL_SIZE
+      : height,
+  };
+};
+
+/**
+ * Returns the props of the labels that show the min and the max of a ring at
+ * its ends. The ends of closed rings meet at the top, so their labels sit on
+ * either side of it, inside the ring. Open rings have their labels below
+ * their ends.
+ *
+ * @param {{radius: number, innerRadius: number}} ringRadius
+ * @param {{startAngle: number, endAngle: number, isClosed: boolean, centerY: number}} layout
+ * @returns {{x: number, y: number, textAnchor: string}[]}
+ */
+const getScaleLabelProps = (
+  { radius, innerRadius },
+  { startAngle, endAngle, isClosed, centerY }
+) => {
+  const middleRadius = (radius + innerRadius) / 2;
+  const ringWidth = radius - innerRadius;
+
+  return [startAngle, endAngle].map((angle, index) => {
+    const radians = (angle * Math.PI) / 180;
+    const x = CHART_WIDTH / 2 + Math.sin(radians) * middleRadius;
+    const y = centerY - Math.cos(radians) * middleRadius;
+
+    if (isClosed) {
+      return {
+        x: index === 0 ? x + SCALE_LABEL_GAP : x - SCALE_LABEL_GAP,
+        y: y + ringWidth / 2 + SCALE_LABEL_GAP,
+        textAnchor: index === 0 ? 'start' : 'end',
+      };
+    }
+
+    return {
+      x,
+      y: y + ringWidth / 2 + SCALE_LABEL_GAP,
+      textAnchor: 'middle',
+    };
+  });
+};
+
+/**
+ * Returns the outer and inner radius of each of the `ringCount` concentric
+ * rings, from the outermost ring to the innermost one.
+ *
+ * @param {number} ringCount
+ * @param {number} maxRingWidth
+ * @returns {{radius: number, innerRadius: number}[]}
+ */
+const getRingRadii = (ringCount, maxRingWidth) => {
+  const ringWidth = Math.min(
+    maxRingWidth,
+    (OUTER_RADIUS - MIN_INNER_RADIUS) / ringCount - RING_GAP
+  );
+
+  return Array.from({ length: ringCount }, (_, index) => {
+    const radius = OUTER_RADIUS - index * (ringWidth + RING_GAP);
+    return { radius, innerRadius: radius - ringWidth };
+  });
+};
+
+/**
+ * Returns VictoryPie data that draws color stop bands on the ring track,
+ * leaving the track transparent where no band reaches. Bands are given in
+ * values along the `range` of the ring.
+ *
+ * @param {{from: number, to: number, color: string}[]} bands
+ * @param {{min: number, max: number}} range
+ * @returns {{x: string, y: number, color: string}[]}
+ */
+const getTrackSeries = (bands, range) => {
+  const { series, end } = bands
+    .map((band) => ({
+      ...band,
+      from: getProgressPercent(band.from, range),
+      to: getProgressPercent(band.to, range),
+    }))
+    .reduce(
+      (acc, { from, to, color }, index) => {
+        if (from > acc.end) {
+          acc.series.push({
+            x: `gap-${index}`,
+            y: from - acc.end,
+            color: 'transparent',
+          });
+        }
+
+        acc.series.push({ x: `band-${index}`, y: to - from, color });
+        acc.end = to;
+        return acc;
+      },
+      { series: [], end: 0 }
+    );
+
+  return end < 100
+    ? [...series, { x: 'remainder', y: 100 - end, color: 'transparent' }]
+    : series;
+};
+
+/**
+ * Returns the series that make up the ring of a facet: the first aggregate,
+ * the second aggregate as the max of the ring and the first aggregate of the
+ * previous period of a COMPARE WITH clause.
+ *
+ * @param {{aggregateIndex: number, facetLabel: string, comparison: string}[]} series
+ * @param {string} facetLabel
+ * @returns {{series: Object, maxSeries: Object, previousSeries: Object}}
+ */
+const getRingSeries = (series, facetLabel) => {
+  const findSeries = (aggregateIndex, isPrevious) =>
+    series.find(
+      (entry) =>
+        entry.aggregateIndex === aggregateIndex &&
+        entry.facetLabel === facetLabel &&
+        (entry.comparison === 'previous') === isPrevious
+    );
+
+  return {
+    series: findSeries(0, false),
+    maxSeries: findSeries(1, false),
+    previousSeries: findSeries(0, true),
+  };
+};
+
+// the value of TIMESERIES series is the value of their latest bucket with a
+// value, and null when none has one
+const getSeriesValue = (series, isTimeseries) =>
+  isTimeseries ? getBucketValues(series.buckets).pop() ?? null : series.value;
+
+// compare functions of the ways rings of facets can be sorted, keeping query
+// order unless one is picked
+const FACET_SORTS = {
+  valueDesc: (a, b) => b.value - a.value,
+  valueAsc: (a, b) => a.value - b.value,
+  label: (a, b) => a.label.localeCompare(b.label),
+};
 
 export default class CircularProgressBar extends React.Component {
   // Custom props you wish to be configurable in the UI must also be defined in
@@ -33,11 +271,13 @@ export default class CircularProgressBar extends React.Component {
     /**
      * An array of objects consisting of a nrql `query` and `accountId`.
      * This should be a standard prop for any NRQL based visualizations.
+     * Each query is drawn as its own ring, the first query being the outermost.
      */
     nrqlQueries: PropTypes.arrayOf(
       PropTypes.shape({
         accountId: PropTypes.number,
         query: PropTypes.string,
+        label: PropTypes.string,
       })
     ),
 
@@ -49,159 +289,561 @@ export default class CircularProgressBar extends React.Component {
       criticalThreshold: PropTypes.number,
       highValuesAreSuccess: PropTypes.bool,
     }),
+
+    /**
+     * An array of values from which progress takes on a color, such as ok,
+     * warning and critical levels. Stops are drawn as bands on the ring track
+     * and take precedence over `thresholds`.
+     */
+    colorStops: PropTypes.arrayOf(
+      PropTypes.shape({
+        value: PropTypes.number,
+        color: PropTypes.string,
+        label: PropTypes.string,
+      })
+    ),
+
+    /**
+     * Configuration that determines the values an empty and a full ring
+     * stand for. A second aggregate function in the query takes precedence
+     * over `max`.
+     */
+    range: PropTypes.shape({
+      min: PropTypes.number,
+      max: PropTypes.number,
+    }),
+
+    /**
+     * Configuration that determines whether rings are full circles, 270°
+     * arcs or semicircles, and how thick they are as a percentage of their
+     * radius.
+     */
+    shape: PropTypes.shape({
+      type: PropTypes.oneOf(Object.keys(SHAPES)),
+      thickness: PropTypes.number,
+    }),
+
+    /**
+     * Configuration that determines the order of the rings of queries with a
+     * FACET clause, which are laid out in a grid, and how many are shown.
+     */
+    facets: PropTypes.shape({
+      sort: PropTypes.oneOf(['none', ...Object.keys(FACET_SORTS)]),
+      limit: PropTypes.number,
+    }),
+
+    /**
+     * Configuration that lets the widget look back over its own time range,
+     * in minutes, instead of following the dashboard time picker.
+     */
+    timeRange: PropTypes.shape({
+      since: PropTypes.string,
+    }),
   };
 
   /**
-   * Restructure the data for a aggregate NRQL query with no TIMESERIES and no
-   * FACET into a for our visualization works well with.
+   * Turns the series of a single aggregate, and optionally the series of the
+   * aggregate that is its max and of its previous period, into a ring.
+   *
+   * The `value` of a ring is in the unit of its `range`: fractions are turned
+   * into percentages. Rings of TIMESERIES queries take the value of the
+   * latest bucket and keep the values of all buckets as `sparkline`.
+   *
+   * Returns null when the series has no value, such as when all buckets of a
+   * TIMESERIES query are empty.
    */
-  transformData = (data) => {
-    const {
-      data: [series],
-      metadata: { color: colorFromData, name: label },
-    } = data[0];
+  transformSeries = ({
+    series,
+    maxSeries,
+    previousSeries,
+    isTimeseries,
+    label,
+  }) => {
+    const { color: colorFromData, queryLabel, unitType } = series;
+    const seriesValue = getSeriesValue(series, isTimeseries);
+
+    if (seriesValue === null || seriesValue === undefined) {
+      return null;
+    }
+
+    const previousSeriesValue =
+      previousSeries && getSeriesValue(previousSeries, isTimeseries);
+    const range = getProgressRange({
+      ...this.props.range,
+      unitType,
+      maxFromData: maxSeries && getSeriesValue(maxSeries, isTimeseries),
+    });
+    const toRangeUnit = (valueFromData) =>
+      range.isFraction ? valueFromData * 100 : valueFromData;
 
-    const percent = series.y * 100;
-    const color = this.getColor(percent, colorFromData);
+    const value = toRangeUnit(seriesValue);
+    const percent = getProgressPercent(value, range);
+    const color = this.getColor(value, colorFromData);
+    const colorStops = getColorStops(this.props.colorStops);
 
     return {
-      percent,
+      value,
+      range,
       label,
+      queryLabel,
+      color,
+      sparkline: isTimeseries
+        ? getBucketValues(series.buckets).map(toRangeUnit)
+        : [],
+      previousValue:
+        previousSeriesValue === null || previousSeriesValue === undefined
+          ? null
+          : toRangeUnit(previousSeriesValue),
       series: [
         { x: 'progress', y: percent, color },
         { x: 'remainder', y: 100 - percent, color: 'transparent' },
       ],
+      trackSeries: getTrackSeries(getColorStopBands(colorStops, range), range),
     };
   };
 
-  nrqlInputIsValid = (data) => {
-    const { data: seriesEntries } = data[0];
-    const { uniqueAggregates, uniqueFacets } =
-      getUniqueAggregatesAndFacets(data);
-    const isNonTimeseries = seriesEntries.length === 1;
+  /**
+   * Restructure the data for a aggregate NRQL query with no FACET into a for
+   * our visualization works well with.
+   *
+   * Returns one ring per query, the `queryLabel` of which is only present when
+   * results of several queries are combined. The second aggregate, if any, is
+   * the max of the range of the ring. Queries without a value get no ring.
+   */
+  transformData = (queries) =>
+    queries
+      .map(({ series, isTimeseries }) => {
+        const ringSeries = getRingSeries(series, '');
 
-    return (
-      uniqueAggregates.size === 1 && uniqueFacets.size === 0 && isNonTimeseries
+        return this.transformSeries({
+          ...ringSeries,
+          isTimeseries,
+          label: ringSeries.series.name,
+        });
+      })
+      .filter(Boolean);
+
+  /**
+   * Restructure the data of queries with a FACET clause into one ring per
+   * facet, labeled with its facet values. The second aggregate of a facet,
+   * if any, is the max of the range of its ring.
+   *
+   * Rings are sorted and limited as configured in `facets`, and facets
+   * without a value get no ring.
+   */
+  transformFacetData = (queries) => {
+    const {
+      facets: { sort, limit },
+    } = this.props;
+    const rings = queries.flatMap(({ series, isTimeseries }) =>
+      series
+        .filter(
+          ({ aggregateIndex, comparison }) =>
+            aggregateIndex === 0 && comparison !== 'previous'
+        )
+        .map((valueSeries) =>
+          this.transformSeries({
+            ...getRingSeries(series, valueSeries.facetLabel),
+            isTimeseries,
+            label:
+              withQueryLabel(valueSeries.facetLabel, valueSeries.queryLabel) ||
+              valueSeries.name,
+          })
+        )
+        .filter(Boolean)
     );
+    const sortedRings = FACET_SORTS[sort]
+      ? [...rings].sort(FACET_SORTS[sort])
+      : rings;
+    const maxCount = parseInt(limit, 10);
+
+    return maxCount > 0 ? sortedRings.slice(0, maxCount) : sortedRings;
   };
 
+  nrqlInputIsValid = (queries) =>
+    queries.every(({ aggregates }) => [1, 2].includes(aggregates.length));
+
+  isFacetQuery = (queries) => queries.some(({ facets }) => facets.length > 0);
+
+  /**
+   * Formats a value in the unit of the given range, with as many decimals as
+   * a hundredth of the range needs.
+   *
+   * @param {number} value
+   * @param {{min: number, max: number, unitType: string}} range
+   * @returns {string}
+   */
+  formatValue = (value, { min, max, unitType }) =>
+    formatNumberTicks({
+      unitType,
+      tick: value,
+      tickIncrement: (max - min) / 100,
+    });
+
   getColor = (value, colorFromData) => {
-    const { red6: red, green6: green } = Colors.base;
+    const colorStops = getColorStops(this.props.colorStops);
+
+    return colorStops.length
+      ? getColorStopColor(value, colorStops, colorFromData)
+      : getThresholdColor(value, this.props.thresholds, colorFromData);
+  };
+
+  /**
+   * Returns the ring width and the layout of the configured gauge shape.
+   */
+  getLayout = () => {
     const {
-      thresholds: { criticalThreshold, highValuesAreSuccess },
+      shape: { type, thickness },
+      colorStops,
     } = this.props;
+    const ringWidth = getRingWidth(thickness);
 
-    const threshold = parseFloat(criticalThreshold);
+    return {
+      ringWidth,
+      ...getShapeLayout({
+        shape: type,
+        ringWidth,
+        hasColorStops: getColorStops(colorStops).length > 0,
+      }),
+    };
+  };
 
-    if (isNaN(threshold)) {
-      return colorFromData;
-    }
+  /**
+   * Renders concentric rings, the first ring being the outermost, labeled
+   * with the label of the first ring. A single ring shows its min and max at
+   * its ends.
+   *
+   * The label and color stops go below the rings, or right of them when that
+   * leaves the rings larger in the given `width` and `height`.
+   */
+  renderRings = ({ rings, width, height }) => {
+    const layout = this.getLayout();
+    const { startAngle, endAngle, centerY, labelY } = layout;
+    const ringRadii = getRingRadii(rings.length, layout.ringWidth);
+    const isMultiRing = rings.length > 1;
+    const [firstRing] = rings;
+    const { sparkline, previousValue } = firstRing;
+    const { highValuesAreSuccess } = this.props.thresholds;
+    // a single ring with a max of its own shows what it is out of, such as a
+    // capacity
+    const maxLabels =
+      !isMultiRing && firstRing.range.hasCustomMax
+        ? [`of ${this.formatValue(firstRing.range.max, firstRing.range)}`]
+        : [];
+    const valueLabelSize = isMultiRing
+      ? MULTI_VALUE_LABEL_SIZE
+      : VALUE_LABEL_SIZE;
+    const colorStops = getColorStops(this.props.colorStops);
+    const hasSparkline = !isMultiRing && sparkline.length > 1;
+    const hasDelta =
+      !isMultiRing &&
+      Number.isFinite(previousValue) &&
+      Number.isFinite(firstRing.value);
 
-    if (highValuesAreSuccess) {
-      return value > threshold ? green : red;
-    }
+    // values, sparkline and delta are stacked around the center, or above it
+    // in shapes that have no bottom half
+    const valueHeight = isMultiRing
+      ? rings.length * valueLabelSize
+      : valueLabelSize + maxLabels.length * MAX_LABEL_SIZE;
+    const sparklineHeight = hasSparkline ? TREND_GAP + SPARKLINE_HEIGHT : 0;
+    const deltaHeight = hasDelta ? TREND_GAP + DELTA_LABEL_SIZE : 0;
+    const blockHeight = valueHeight + sparklineHeight + deltaHeight;
+    const valueY =
+      layout.depth === 0 ? centerY - blockHeight : centerY - blockHeight / 2;
+    const sparklineY = valueY + valueHeight + TREND_GAP;
+    const deltaY = valueY + valueHeight + sparklineHeight + TREND_GAP;
+
+    // a row of color stops below the rings, or one per stop beside them
+    const gaugeHeight = labelY - LABEL_PADDING;
+    const stopRowHeight = STOP_LABEL_GAP + STOP_LABEL_SIZE;
+    const besideHeight = LABEL_SIZE + colorStops.length * stopRowHeight;
+    const { isBeside, viewBoxWidth, viewBoxHeight, labelWidth } =
+      getGaugeLayout({
+        width,
+        height,
+        gaugeWidth: BOUNDS.X,
+        gaugeHeight,
+        belowHeight: layout.viewBoxHeight - gaugeHeight,
+        besideHeight,
+        minLabelWidth: MIN_SIDE_LABEL_WIDTH,
+        gap: SIDE_LABEL_GAP,
+      });
+    const gaugeY = isBeside ? (viewBoxHeight - gaugeHeight) / 2 : 0;
+    const labelX = isBeside ? BOUNDS.X + SIDE_LABEL_GAP : CHART_WIDTH / 2;
+    const besideLabelY = (viewBoxHeight - besideHeight) / 2;
+    const labelAnchor = isBeside ? 'start' : 'middle';
+
+    return (
+      <svg
+        viewBox={`0 0 ${viewBoxWidth} ${viewBoxHeight}`}
+        width={width}
+        height={height}
+        className="CircularProgressBar"
+      >
+        <g transform={`translate(0, ${gaugeY})`}>
+          {colorStops.length > 0 &&
+            rings.map(({ trackSeries }, index) => (
+              <VictoryPie
+                key={`track-${index}`}
+                standalone={false}
+                data={trackSeries}
+                width={CHART_WIDTH}
+                height={CHART_HEIGHT}
+                padding={CHART_PADDING}
+                origin={{ x: CHART_WIDTH / 2, y: centerY }}
+                startAngle={startAngle}
+                endAngle={endAngle}
+                radius={ringRadii[index].radius}
+                innerRadius={ringRadii[index].innerRadius}
+                labels={() => null}
+                style={{
+                  data: {
+                    fill: ({ datum }) => datum.color,
+                    fillOpacity: 0.25,
+                  },
+                }}
+              />
+            ))}
+          {rings.map(({ series }, index) => (
+            <VictoryPie
+              key={index}
+              standalone={false}
+              animate={{ duration: 1000 }}
+              data={series}
+              width={CHART_WIDTH}
+              height={CHART_HEIGHT}
+              padding={CHART_PADDING}
+              origin={{ x: CHART_WIDTH / 2, y: centerY }}
+              startAngle={startAngle}
+              endAngle={endAngle}
+              radius={ringRadii[index].radius}
+              innerRadius={ringRadii[index].innerRadius}
+              cornerRadius={25}
+              labels={() => null}
+              style={{
+                data: { fill: ({ datum }) => datum.color },
+              }}
+            />
+          ))}
+          <VictoryAnimation
+            duration={1000}
+            data={rings.map(({ value }) => value)}
+          >
+            {(values) => (
+              <VictoryLabel
+                textAnchor="middle"
+                verticalAnchor="start"
+                x={CHART_WIDTH / 2}
+                y={valueY}
+                text={rings.flatMap(({ queryLabel, range }, index) => {
+                  const value = this.formatValue(values[index], range);
 
-    return value < threshold ? green : red;
+                  // label each value with its (truncated) query label so rings
+                  // can be told apart
+                  return isMultiRing
+                    ? `${truncateLabel(queryLabel, MIN_INNER_RADIUS, {
+                        style: {
+                          ...baseLabelStyles,
+                          fontSize: valueLabelSize,
+                        },
+                      })} ${value}`
+                    : [value, ...maxLabels];
+                })}
+                style={[
+                  ...rings.map(({ color }) => ({
+                    ...baseLabelStyles,
+                    fontSize: valueLabelSize,
+                    ...(isMultiRing && { fill: color }),
+                  })),
+                  ...maxLabels.map(() => ({
+                    ...baseLabelStyles,
+                    fontSize: MAX_LABEL_SIZE,
+                  })),
+                ]}
+              />
+            )}
+          </VictoryAnimation>
+          {hasSparkline && (
+            <g
+              transform={`translate(${
+                (CHART_WIDTH - SPARKLINE_WIDTH) / 2
+              }, ${sparklineY})`}
+            >
+              <VictoryLine
+                standalone={false}
+                width={SPARKLINE_WIDTH}
+                height={SPARKLINE_HEIGHT}
+                padding={0}
+                data={sparkline.map((y, x) => ({ x, y }))}
+                style={{
+                  data: {
+                    stroke:
+                      TREND_COLORS[
+                        getTrend(
+                          sparkline[0],
+                          sparkline[sparkline.length - 1],
+                          highValuesAreSuccess
+                        )
+                      ],
+                    strokeWidth: 2,
+                  },
+                }}
+              />
+            </g>
+          )}
+          {hasDelta && (
+            <VictoryLabel
+              textAnchor="middle"
+              verticalAnchor="start"
+              x={CHART_WIDTH / 2}
+              y={deltaY}
+              text={[
+                firstRing.value > previousValue ? ARROW_UP : '',
+                firstRing.value < previousValue ? ARROW_DOWN : '',
+                this.formatValue(
+                  Math.abs(firstRing.value - previousValue),
+                  firstRing.range
+                ),
+                'vs. previous period',
+              ]
+                .filter((part) => part)
+                .join(' ')}
+              style={{
+                ...baseLabelStyles,
+                fontSize: DELTA_LABEL_SIZE,
+                fill: TREND_COLORS[
+                  getTrend(previousValue, firstRing.value, highValuesAreSuccess)
+                ],
+              }}
+            />
+          )}
+          {!isMultiRing &&
+            getScaleLabelProps(ringRadii[0], layout).map((props, index) => (
+              <VictoryLabel
+                key={`scale-${index}`}
+                {...props}
+                verticalAnchor="start"
+                text={this.formatValue(
+                  index === 0 ? firstRing.range.min : firstRing.range.max,
+                  firstRing.range
+                )}
+                style={{ ...baseLabelStyles, fontSize: SCALE_LABEL_SIZE }}
+              />
+            ))}
+        </g>
+        <VictoryLabel
+          text={truncateLabel(firstRing.label ?? '', labelWidth, {
+            style: { ...baseLabelStyles, fontSize: LABEL_SIZE },
+          })}
+          lineHeight={1}
+          x={labelX}
+          y={isBeside ? besideLabelY : labelY}
+          textAnchor={labelAnchor}
+          style={{ ...baseLabelStyles, fontSize: LABEL_SIZE }}
+        />
+        {colorStops.length > 0 && (
+          <text
+            x={labelX}
+            y={
+              isBeside
+                ? besideLabelY +
+                  LABEL_SIZE +
+                  stopRowHeight -
+                  STOP_LABEL_SIZE / 4
+                : viewBoxHeight - STOP_LABEL_SIZE / 4
+            }
+            textAnchor={labelAnchor}
+            style={{
+              ...baseLabelStyles,
+              fontSize: STOP_LABEL_SIZE,
+            }}
+          >
+            {colorStops.map(({ value, color, label }, index) => (
+              <tspan
+                key={index}
+                // beside the rings, every stop gets a row of its own
+                {...(isBeside
+                  ? { x: labelX, dy: index > 0 ? stopRowHeight : 0 }
+                  : { dx: index > 0 ? STOP_LABEL_SIZE : 0 })}
+                fill={color}
+              >
+                {[label, `\u2265 ${this.formatValue(value, firstRing.range)}`]
+                  .filter((part) => part)
+                  .join(' ')}
+              </tspan>
+            ))}
+          </text>
+        )}
+      </svg>
+    );
   };
 
-  render() {
-    const { nrqlQueries } = this.props;
+  /**
+   * Renders a ring per facet in a grid that fills the given area.
+   */
+  renderFacetGrid = ({ rings, width, height }) => {
+    const { viewBoxHeight } = this.getLayout();
+    const { columns, tileWidth, tileHeight } = getGridLayout({
+      count: rings.length,
+      width,
+      height,
+      aspectRatio: BOUNDS.X / viewBoxHeight,
+    });
+
+    return (
+      <div
+        className="CircularProgressBar-grid"
+        style={{ gridTemplateColumns: `repeat(${columns}, 1fr)` }}
+      >
+        {rings.map((ring) => (
+          <div key={ring.label} className="CircularProgressBar-tile">
+            {this.renderRings({
+              rings: [ring],
+              width: tileWidth,
+              height: tileHeight,
+            })}
+          </div>
+        ))}
+      </div>
+    );
+  };
 
-    const nrqlQueryPropsAvailable =
-      nrqlQueries &&
-      nrqlQueries[0] &&
-      nrqlQueries[0].accountId &&
-      nrqlQueries[0].query;
+  render() {
+    const nrqlQueries = getConfiguredQueries(this.props.nrqlQueries);
 
-    if (!nrqlQueryPropsAvailable) {
+    if (!nrqlQueries.length) {
       return <EmptyState />;
     }
 
     return (
       <AutoSizer>
         {({ width, height }) => (
-          <PlatformStateContext.Consumer>
-            {({ timeRange }) => (
-              <NrqlQuery
-                query={nrqlQueries[0].query}
-                accountIds={[parseInt(nrqlQueries[0].accountId)]}
-                pollInterval={NrqlQuery.AUTO_POLL_INTERVAL}
-                timeRange={timeRange}
-              >
-                {({ data, loading, error }) => {
-                  if (loading) {
-                    return <Spinner />;
-                  }
-
-                  if (error && data === null) {
-                    return (
-                      <NrqlQueryError
-                        title="NRQL Syntax Error"
-                        description={error.message}
-                      />
-                    );
-                  }
-
-                  if (!data.length) {
-                    return <NoDataState />;
-                  }
-
-                  if (!this.nrqlInputIsValid(data)) {
-                    return (
-                      <NrqlQueryError
-                        title="Unsupported NRQL query"
-                        description="The provided NRQL query is not supported by this visualization. Please make sure to have exactly 1 aggregate function in the SELECT clause and no FACET or TIMESERIES clauses."
-                      />
-                    );
-                  }
-
-                  const { percent, label, series } = this.transformData(data);
-
-                  return (
-                    <svg
-                      viewBox={`0 0 ${BOUNDS.X} ${BOUNDS.Y}`}
-                      width={width}
-                      height={height}
-                      className="CircularProgressBar"
-                    >
-                      <VictoryPie
-                        standalone={false}
-                        animate={{ duration: 1000 }}
-                        data={series}
-                        width={CHART_WIDTH}
-                        height={CHART_HEIGHT}
-                        padding={10}
-                        innerRadius={135}
-                        cornerRadius={25}
-                        labels={() => null}
-                        style={{ data: { fill: ({ datum }) => datum.color } }}
-                      />
-                      <VictoryAnimation duration={1000} data={percent}>
-                        {(percent) => (
-                          <VictoryLabel
-                            textAnchor="middle"
-                            verticalAnchor="middle"
-                            x={CHART_WIDTH / 2}
-                            y={CHART_HEIGHT / 2}
-                            text={`${Math.round(percent)}%`}
-                            style={{ ...baseLabelStyles, fontSize: 45 }}
-                          />
-                        )}
-                      </VictoryAnimation>
-                      <VictoryLabel
-                        text={label}
-                        lineHeight={1}
-                        x={CHART_WIDTH / 2}
-                        y={BOUNDS.Y - LABEL_SIZE}
-                        textAnchor="middle"
-                        style={{ ...baseLabelStyles, fontSize: LABEL_SIZE }}
-                      />
-                    </svg>
-                  );
-                }}
-              </NrqlQuery>
-            )}
-          </PlatformStateContext.Consumer>
+          <VisualizationQuery
+            nrqlQueries={nrqlQueries}
+            timeRange={this.props.timeRange}
+            isValid={this.nrqlInputIsValid}
+            unsupportedDescription="The provided NRQL query is not supported by this visualization. Please make sure each query has 1 aggregate function in the SELECT clause, or 2 when the second one is the max."
+          >
+            {(queries) => {
+              if (this.isFacetQuery(queries)) {
+                const rings = this.transformFacetData(queries);
+
+                return rings.length ? (
+                  this.renderFacetGrid({ rings, width, height })
+                ) : (
+                  <NoDataState />
+                );
+              }
+
+              const rings = this.transformData(queries);
+
+              return rings.length ? (
+                this.renderRings({ rings, width, height })
+              ) : (
+                <NoDataState />
+              );
+            }}
+          </VisualizationQuery>
         )}
       </AutoSizer>
     );
@@ -222,7 +864,9 @@ const EmptyState = () => (
         type={HeadingText.TYPE.HEADING_4}
       >
         This Visualization supports NRQL queries with a single SELECT clause
-        returning a percentage value (0 to 100 rather than 0 to 1). For example:
+        returning a percentage (0 to 100) or a fraction (0 to 1). Add a second
+        aggregate function, such as a capacity, to set the value of a full ring.
+        For example:
       </HeadingText>
       <code>
         {'FROM Transaction SELECT percentage(count(*), WHERE duration < 0.1)'}
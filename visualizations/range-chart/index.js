@@ -1,25 +1,50 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import cx from 'classnames';
+import { Card, CardBody, HeadingText, AutoSizer } from 'nr1';
 import {
-  Card,
-  CardBody,
-  HeadingText,
-  NrqlQuery,
-  Spinner,
-  AutoSizer,
-  PlatformStateContext,
-} from 'nr1';
-import { VictoryAxis, VictoryChart, VictoryBar, VictoryTooltip } from 'victory';
+  VictoryArea,
+  VictoryAxis,
+  VictoryChart,
+  VictoryBar,
+  VictoryClipContainer,
+  VictoryLine,
+  VictoryTooltip,
+  VictoryVoronoiContainer,
+} from 'victory';
 
+import { CLICK_ACTIONS, getClickEvents } from '../../src/click-actions';
+import BoxPlotBar from '../../src/box-plot-bar';
 import ErrorState from '../../src/error-state';
-import NrqlQueryError from '../../src/nrql-query-error';
+import Legend from '../../src/legend';
 import NoDataState from '../../src/no-data-state';
+import VisualizationQuery from '../../src/visualization-query';
+import ReferenceLayer from '../../src/reference-layer';
 
 import theme from '../../src/theme';
-import { getUniqueAggregatesAndFacets } from '../../src/utils/nrql-validation-helper';
-import truncateLabel from '../../src/utils/truncate-label';
-import { getFacetLabel } from '../../src/utils/facets';
+import { getAllSeries } from '../../src/utils/nrql-data';
+import { getConfiguredQueries } from '../../src/utils/nrql-queries';
+import { getBoxPlot } from '../../src/utils/box-plot';
+import {
+  LEGEND_OVERFLOW,
+  LEGEND_POSITIONS,
+  getLegendLayout,
+} from '../../src/utils/legend-layout';
+import truncateLabel, { getTextWidth } from '../../src/utils/truncate-label';
+import { withQueryLabel } from '../../src/utils/facets';
 import { typeToUnit, formatNumberTicks } from '../../src/utils/units';
+import {
+  AXIS_SCALES,
+  fitsScale,
+  getAxisDomain,
+  getLogTicks,
+} from '../../src/utils/axis-scale';
+import {
+  getReferenceLines,
+  getThresholdBands,
+  getThresholdColor,
+  getThresholdLines,
+} from '../../src/utils/thresholds';
 
 export default class RangeChartVisualization extends React.Component {
   // Custom props you wish to be configurable in the UI must also be defined in
@@ -28,11 +53,13 @@ export default class RangeChartVisualization extends React.Component {
     /**
      * An array of objects consisting of a nrql `query` and `accountId`.
      * This should be a standard prop for any NRQL based visualizations.
+     * Each query adds its own ranges to the chart, prefixed with its `label`.
      */
     nrqlQueries: PropTypes.arrayOf(
       PropTypes.shape({
         accountId: PropTypes.number,
         query: PropTypes.string,
+        label: PropTypes.string,
       })
     ),
     /**
@@ -42,188 +69,625 @@ export default class RangeChartVisualization extends React.Component {
     other: PropTypes.shape({
       visible: PropTypes.bool,
     }),
+    /**
+     * Object consisting of configuration properties for the y-axis, along
+     * which range bars run. Scale spaces values evenly or by powers of ten.
+     * Min and max fix the bounds of the axis, and zero-based, which is on
+     * unless toggled off, includes zero in a linear axis.
+     */
+    yAxis: PropTypes.shape({
+      scale: PropTypes.oneOf(Object.values(AXIS_SCALES)),
+      min: PropTypes.number,
+      max: PropTypes.number,
+      zeroBased: PropTypes.bool,
+    }),
+    /**
+     * Object with a singular boolean value.
+     * Determines if range bars run left to right, with facet labels on the
+     * y-axis.
+     */
+    orientation: PropTypes.shape({
+      horizontal: PropTypes.bool,
+    }),
+    /**
+     * Object with a singular enum value.
+     * Determines what clicking a range bar does: filter the dashboard by the
+     * facet values behind it, open its query in the data explorer, or open
+     * the entity behind it when the query is FACETed by `entityGuid`.
+     */
+    clickAction: PropTypes.shape({
+      action: PropTypes.oneOf(Object.values(CLICK_ACTIONS)),
+    }),
+    /**
+     * Configuration that determines what values to shade and mark as warning
+     * or critical on the y-axis. When `colorByThreshold` is toggled on, range
+     * bars are colored by whether they cross the critical threshold.
+     */
+    thresholds: PropTypes.shape({
+      warningThreshold: PropTypes.number,
+      criticalThreshold: PropTypes.number,
+      highValuesAreSuccess: PropTypes.bool,
+      colorByThreshold: PropTypes.bool,
+    }),
+    /**
+     * An array of labeled y-axis values to draw a line at, such as SLO
+     * targets.
+     */
+    referenceLines: PropTypes.arrayOf(
+      PropTypes.shape({
+        value: PropTypes.number,
+        label: PropTypes.string,
+      })
+    ),
+
+    /**
+     * Configuration that lets the widget look back over its own time range,
+     * in minutes, instead of following the dashboard time picker.
+     */
+    timeRange: PropTypes.shape({
+      since: PropTypes.string,
+    }),
+
+    /**
+     * Object with a singular boolean value.
+     * Determines if a line runs halfway between the bottom and top of
+     * TIMESERIES bands without a median aggregate. Bands with one always get
+     * a line through it.
+     */
+    timeseries: PropTypes.shape({
+      centerLine: PropTypes.bool,
+    }),
+
+    /**
+     * Object consisting of configuration properties for the legend of
+     * TIMESERIES bands. Range bars are labeled on the x-axis instead.
+     * Position places the legend below or right of the chart, or hides it.
+     * Overflow determines if legend items that don't fit are scrolled to or
+     * listed behind a "+N more" entry.
+     */
+    legend: PropTypes.shape({
+      position: PropTypes.oneOf(Object.values(LEGEND_POSITIONS)),
+      overflow: PropTypes.oneOf(Object.values(LEGEND_OVERFLOW)),
+    }),
   };
 
   /**
-   * Transforms from NRQL data output to VictoryBar input format.
+   * Transforms normalized NRQL query models to VictoryBar input format.
    *
-   * Uses `metadata.color` for the bar fill colors.
+   * Uses the series `color` for the bar fill colors.
    *
-   * Uses the `value` property on group where type === facet for the unique entry identifier.
+   * Uses the series `facetLabel` for the unique entry identifier, prefixed
+   * with the `queryLabel` when results of several queries are combined.
    *
-   * Uses the `y` property on the data array entry for the `y` and `y0` values.
+   * Takes the series `value` of every aggregate function, in SELECT clause
+   * order, as the `values` of a box-and-whisker mark (see `getBoxPlot`). Its
+   * box spans from the `y0` value to the `y` value. With two aggregate
+   * functions, that is from the first value to the second one.
    *
-   * @param {{data: {y}[], metadata: { color: string, groups: {type: string, value: string}[]} }[]} rawData
-   * @returns {{rangeData: {facetGroupName: string, y: number, y0: number, color: string}[], tickValues: string[]}}
+   * Keeps the FACET clause groups and query index of each entry as `facets`
+   * and `queryIndex` for click actions.
+   *
+   * @param {{series: {value: number, color: string, unitType: string, facetLabel: string, queryLabel: string, queryIndex: number, aggregate: string, aggregateIndex: number, facets: Object[]}[]}[]} queries
+   * @returns {{facetGroupName: string, y: number, y0: number, low: number, boxLow: number, median: number, boxHigh: number, high: number, color: string, facets: Object[], queryIndex: number}[]}
    */
-  transformData = (rawData) => {
+  transformData = (queries) => {
     const {
       other: { visible },
     } = this.props;
-    const facetGroupData = rawData.reduce((acc, { data, metadata }) => {
-      const facetGroupName = getFacetLabel(metadata?.groups);
-      const dataValue = data?.[0]?.y;
-
-      const unitType = metadata.units_data.y;
+    const facetGroupData = getAllSeries(queries).reduce((acc, series) => {
+      const { facetLabel, queryLabel, queryIndex, facets } = series;
+      const { value, color, aggregate, aggregateIndex } = series;
 
-      if (!visible && facetGroupName === 'Other') {
+      if (!visible && facetLabel === 'Other') {
         return acc;
       }
 
-      acc[facetGroupName]
-        ? (acc[facetGroupName] = {
-            ...acc[facetGroupName],
-            y: dataValue,
-            x: facetGroupName,
-            label: `${facetGroupName} ${
-              acc[facetGroupName].y0
-            } - ${dataValue} ${typeToUnit(unitType)}`,
-          })
-        : (acc[facetGroupName] = {
-            color: metadata?.color,
-            y0: dataValue,
-          });
+      const facetGroupName = withQueryLabel(facetLabel, queryLabel);
+
+      if (!acc[facetGroupName]) {
+        acc[facetGroupName] = {
+          color,
+          facets,
+          queryIndex,
+          aggregates: [],
+          values: [],
+        };
+      }
+
+      acc[facetGroupName].aggregates[aggregateIndex] = aggregate;
+      acc[facetGroupName].values[aggregateIndex] = value;
 
       return acc;
     }, {});
+    const { unitType } = queries[0].series[0];
+    const unit = typeToUnit(unitType) ?? '';
 
     return Object.entries(facetGroupData).map(
-      ([facetGroupName, facetGroupData]) => ({
+      ([facetGroupName, { aggregates, values, ...facetGroupData }]) => {
+        const boxPlot = getBoxPlot(values);
+
+        return {
+          facetGroupName,
+          ...facetGroupData,
+          ...boxPlot,
+          x: facetGroupName,
+          y0: boxPlot.boxLow,
+          y: boxPlot.boxHigh,
+          // box plots list the value of every aggregate function
+          label:
+            values.length > 2
+              ? [
+                  facetGroupName,
+                  ...values.map(
+                    (value, index) =>
+                      `${aggregates[index]}: ${
+                        value?.toLocaleString() ?? ''
+                      }${unit}`
+                  ),
+                ]
+              : `${facetGroupName} ${boxPlot.boxLow} - ${boxPlot.boxHigh} ${unit}`,
+        };
+      }
+    );
+  };
+
+  /**
+   * Transforms normalized TIMESERIES query models to a band per facet group,
+   * for a set of VictoryArea components.
+   *
+   * Every time bucket takes the value of every aggregate function, in SELECT
+   * clause order, as the values of a box-and-whisker mark (see `getBoxPlot`):
+   * the band spans from `low` to `high`, an inner band from `boxLow` to
+   * `boxHigh`, and `median` is the center of the band.
+   *
+   * @param {{series: {buckets: {begin: number, value: number}[], color: string, unitType: string, facetLabel: string, queryLabel: string, queryIndex: number, aggregate: string, aggregateIndex: number}[]}[]} queries
+   * @returns {{facetGroupName: string, color: string, points: {x: number, low: number, boxLow: number, median: number, boxHigh: number, high: number, label: string[]}[]}[]}
+   */
+  transformTimeseriesData = (queries) => {
+    const {
+      other: { visible },
+    } = this.props;
+    const bands = getAllSeries(queries).reduce((acc, series) => {
+      const { facetLabel, queryLabel, color } = series;
+      const { buckets, aggregate, aggregateIndex } = series;
+
+      if (!visible && facetLabel === 'Other') {
+        return acc;
+      }
+
+      const facetGroupName = withQueryLabel(facetLabel, queryLabel);
+
+      if (!acc[facetGroupName]) {
+        acc[facetGroupName] = { color, aggregates: [], buckets: new Map() };
+      }
+
+      const band = acc[facetGroupName];
+
+      band.aggregates[aggregateIndex] = aggregate;
+      buckets.forEach(({ begin, value }) => {
+        if (!band.buckets.has(begin)) {
+          band.buckets.set(begin, []);
+        }
+
+        band.buckets.get(begin)[aggregateIndex] = value;
+      });
+
+      return acc;
+    }, {});
+    const { unitType } = queries[0].series[0];
+    const unit = typeToUnit(unitType) ?? '';
+
+    return Object.entries(bands).map(
+      ([facetGroupName, { color, aggregates, buckets }]) => ({
         facetGroupName,
-        ...facetGroupData,
+        color,
+        points: [...buckets.entries()]
+          // buckets missing a value have no band to show
+          .filter(([, values]) =>
+            aggregates.every((_, index) => Number.isFinite(values[index]))
+          )
+          .sort(([a], [b]) => a - b)
+          .map(([begin, values]) => ({
+            x: begin,
+            ...getBoxPlot(values),
+            label: [
+              facetGroupName,
+              formatNumberTicks({ unitType: 'TIMESTAMP', tick: begin }),
+              ...values.map(
+                (value, index) =>
+                  `${aggregates[index]}: ${value.toLocaleString()}${unit}`
+              ),
+            ].filter((line) => line),
+          })),
       })
     );
   };
 
-  nrqlInputIsValid = (data) => {
-    const { uniqueAggregates, uniqueFacets } =
-      getUniqueAggregatesAndFacets(data);
-    return uniqueAggregates.size === 2 && uniqueFacets.size > 0;
+  /**
+   * Colors every range bar by whether it crosses the critical threshold: by
+   * its top value, or its bottom value when high values are success.
+   *
+   * @param {{y: number, y0: number, color: string}[]} data
+   * @returns {{y: number, y0: number, color: string}[]}
+   */
+  colorByThreshold = (data) => {
+    const { thresholds } = this.props;
+
+    return data.map((entry) => ({
+      ...entry,
+      color: getThresholdColor(
+        thresholds.highValuesAreSuccess ? entry.y0 : entry.y,
+        thresholds,
+        entry.color
+      ),
+    }));
   };
 
-  render() {
-    const { nrqlQueries } = this.props;
+  nrqlInputIsValid = (queries) =>
+    queries.every(
+      ({ aggregates, facets, isTimeseries }) =>
+        aggregates.length >= 2 &&
+        aggregates.length <= 5 &&
+        (facets.length > 0 || isTimeseries) &&
+        isTimeseries === queries[0].isTimeseries
+    );
 
-    const nrqlQueryPropsAvailable =
-      nrqlQueries &&
-      nrqlQueries[0] &&
-      nrqlQueries[0].accountId &&
-      nrqlQueries[0].query;
+  /**
+   * Draws TIMESERIES queries as a band per facet group over a time axis, with
+   * an inner band between the bottom and top of the box when there are
+   * whiskers, and a line through the median.
+   */
+  renderTimeseriesBands = ({ queries, width, height }) => {
+    const {
+      thresholds,
+      referenceLines: configuredReferenceLines,
+      timeseries: { centerLine },
+      legend: { position, overflow: legendOverflow = LEGEND_OVERFLOW.SCROLL },
+      yAxis: { scale: yScale = AXIS_SCALES.LINEAR, zeroBased = true },
+    } = this.props;
+    // buckets reaching zero or below don't fit a log axis
+    const bands = this.transformTimeseriesData(queries)
+      .map((band) => ({
+        ...band,
+        points: band.points.filter(
+          ({ low, high }) => fitsScale(low, yScale) && fitsScale(high, yScale)
+        ),
+      }))
+      .filter(({ points }) => points.length);
+    const referenceLines = [
+      ...getThresholdLines(thresholds),
+      ...getReferenceLines(configuredReferenceLines),
+    ];
+    const { unitType } = queries[0].series[0];
 
-    if (!nrqlQueryPropsAvailable) {
+    if (!bands.length) {
+      return <NoDataState />;
+    }
+
+    // unless configured, a single band goes without a legend to tell it apart
+    const legendPosition =
+      position ??
+      (bands.length > 1 ? LEGEND_POSITIONS.BOTTOM : LEGEND_POSITIONS.HIDDEN);
+    const { chartWidth, chartHeight, legendWidth, legendHeight } =
+      getLegendLayout({
+        position: legendPosition,
+        width,
+        height,
+      });
+    const chartLeftPadding = 75;
+    const chartRightPadding = 25;
+    const chartTopPadding = 16;
+    const chartBottomPadding = 40;
+
+    const yAxisTickCount = Math.round(chartHeight / 36);
+    // keep reference lines in view when they are beyond the bands
+    const yDomain = getAxisDomain(
+      [
+        ...bands.flatMap(({ points }) =>
+          points.flatMap(({ low, high }) => [low, high])
+        ),
+        ...referenceLines.map(({ value }) => value),
+      ],
+      { ...this.props.yAxis, scale: yScale, zeroBased }
+    );
+    const yAxisTickIncrement = (yDomain.max - yDomain.min) / yAxisTickCount;
+    const formatYAxisTick = (tick) =>
+      formatNumberTicks({
+        unitType,
+        tick,
+        tickIncrement: yAxisTickIncrement,
+        scale: yScale,
+      });
+
+    return (
+      <div className={cx('LegendLayout', `LegendLayout--${legendPosition}`)}>
+        <VictoryChart
+          containerComponent={
+            <VictoryVoronoiContainer
+              responsive={false}
+              // tooltips follow the top of the bands
+              voronoiBlacklist={[/^box-/, /^center-/]}
+              labels={({ datum }) => datum.label}
+              labelComponent={<VictoryTooltip constrainToVisibleArea />}
+            />
+          }
+          height={chartHeight}
+          width={chartWidth}
+          theme={theme}
+          scale={{ x: 'time', y: yScale }}
+          minDomain={{ y: yDomain.min }}
+          maxDomain={{ y: yDomain.max }}
+          padding={{
+            top: chartTopPadding,
+            bottom: chartBottomPadding,
+            left: chartLeftPadding,
+            right: chartRightPadding,
+          }}
+        >
+          <VictoryAxis
+            tickCount={Math.round(chartWidth / 120)}
+            tickFormat={(tick) =>
+              formatNumberTicks({ unitType: 'TIMESTAMP', tick })
+            }
+          />
+          <VictoryAxis
+            dependentAxis
+            tickCount={yAxisTickCount}
+            // log axes get a tick per power of ten
+            tickValues={
+              yScale === AXIS_SCALES.LOG
+                ? getLogTicks(yDomain, yAxisTickCount)
+                : undefined
+            }
+            tickFormat={formatYAxisTick}
+          />
+          <ReferenceLayer
+            bands={getThresholdBands(thresholds)}
+            lines={referenceLines}
+            formatValue={formatYAxisTick}
+          />
+          {bands.flatMap(({ color, points }, index) => {
+            const hasWhiskers = points.some(
+              ({ low, boxLow, boxHigh, high }) =>
+                low !== boxLow || high !== boxHigh
+            );
+            const hasMedian = points.some(({ median }) => median !== undefined);
+
+            return [
+              <VictoryArea
+                key={`range-${index}`}
+                name={`range-${index}`}
+                // keep bands beyond fixed axis bounds off the axes
+                groupComponent={<VictoryClipContainer />}
+                data={points.map(({ x, low, high, label }) => ({
+                  x,
+                  y0: low,
+                  y: high,
+                  label,
+                }))}
+                style={{ data: { fill: color, fillOpacity: 0.2 } }}
+              />,
+              hasWhiskers && (
+                <VictoryArea
+                  key={`box-${index}`}
+                  name={`box-${index}`}
+                  groupComponent={<VictoryClipContainer />}
+                  data={points.map(({ x, boxLow, boxHigh }) => ({
+                    x,
+                    y0: boxLow,
+                    y: boxHigh,
+                  }))}
+                  style={{ data: { fill: color, fillOpacity: 0.3 } }}
+                />
+              ),
+              (hasMedian || centerLine) && (
+                <VictoryLine
+                  key={`center-${index}`}
+                  name={`center-${index}`}
+                  groupComponent={<VictoryClipContainer />}
+                  data={points.map(({ x, low, median, high }) => ({
+                    x,
+                    y: hasMedian ? median : (low + high) / 2,
+                  }))}
+                  style={{ data: { stroke: color, strokeWidth: 2 } }}
+                />
+              ),
+            ].filter(Boolean);
+          })}
+        </VictoryChart>
+        {legendPosition !== LEGEND_POSITIONS.HIDDEN && (
+          <Legend
+            height={legendHeight}
+            position={legendPosition}
+            overflow={legendOverflow}
+            style={
+              legendPosition === LEGEND_POSITIONS.RIGHT
+                ? { width: legendWidth }
+                : {
+                    marginLeft: chartLeftPadding,
+                    marginRight: chartRightPadding,
+                  }
+            }
+            items={bands.map(({ facetGroupName, color }) => ({
+              label: facetGroupName,
+              color,
+            }))}
+          />
+        )}
+      </div>
+    );
+  };
+
+  render() {
+    const nrqlQueries = getConfiguredQueries(this.props.nrqlQueries);
+
+    if (!nrqlQueries.length) {
       return <EmptyState />;
     }
 
     return (
       <AutoSizer>
         {({ width, height }) => (
-          <PlatformStateContext.Consumer>
-            {({ timeRange }) => (
-              <NrqlQuery
-                query={nrqlQueries[0].query}
-                accountIds={[parseInt(nrqlQueries[0].accountId)]}
-                pollInterval={NrqlQuery.AUTO_POLL_INTERVAL}
-                timeRange={timeRange}
-              >
-                {({ data, loading, error }) => {
-                  if (loading) {
-                    return <Spinner />;
-                  }
+          <VisualizationQuery
+            nrqlQueries={nrqlQueries}
+            timeRange={this.props.timeRange}
+            isValid={this.nrqlInputIsValid}
+            unsupportedDescription="The provided NRQL query is not supported by this visualization. Please make sure each query has 2 to 5 aggregate functions in the SELECT clause and at least one FACET clause or a TIMESERIES clause. Queries with and without a TIMESERIES clause can't be combined."
+          >
+            {(queries) => {
+              try {
+                if (queries[0].isTimeseries) {
+                  return this.renderTimeseriesBands({ queries, width, height });
+                }
 
-                  if (error && data === null) {
-                    return (
-                      <NrqlQueryError
-                        title="NRQL Syntax Error"
-                        description={error.message}
-                      />
-                    );
-                  }
+                const {
+                  orientation: { horizontal: isHorizontal },
+                  clickAction: { action: clickAction },
+                  thresholds,
+                  referenceLines: configuredReferenceLines,
+                  yAxis: {
+                    scale: yScale = AXIS_SCALES.LINEAR,
+                    zeroBased = true,
+                  },
+                } = this.props;
+                const clickEvents = getClickEvents({
+                  action: clickAction,
+                  nrqlQueries,
+                });
+                // ranges reaching zero or below don't fit a log axis
+                const ranges = this.transformData(queries).filter(
+                  ({ low, high }) =>
+                    fitsScale(low, yScale) && fitsScale(high, yScale)
+                );
+                const rangeData = thresholds.colorByThreshold
+                  ? this.colorByThreshold(ranges)
+                  : ranges;
+                const referenceLines = [
+                  ...getThresholdLines(thresholds),
+                  ...getReferenceLines(configuredReferenceLines),
+                ];
+                const { unitType } = queries[0].series[0];
+                const barCount = rangeData.length;
 
-                  if (!data.length) {
-                    return <NoDataState />;
-                  }
+                if (!barCount) {
+                  return <NoDataState />;
+                }
 
-                  if (!this.nrqlInputIsValid(data)) {
-                    return (
-                      <NrqlQueryError
-                        title="Unsupported NRQL query"
-                        description="The provided NRQL query is not supported by this visualization. Please make sure to have exactly 2 aggregate functions in the SELECT clause and at least one FACET clause."
-                      />
-                    );
-                  }
+                // in horizontal layout, facet labels sit left of the chart
+                // and get up to 40% of its width
+                const chartLeftPadding = isHorizontal
+                  ? Math.min(
+                      width * 0.4,
+                      Math.max(...rangeData.map(({ x }) => getTextWidth(x))) +
+                        16
+                    )
+                  : 75;
+                const chartRightPadding = 25;
+                const chartTopPadding = 16;
+                const chartBottomPadding = 40;
+                // `xDomainWidth` is the length of the axis bars are laid out along
+                const xDomainWidth = isHorizontal
+                  ? height - chartTopPadding - chartBottomPadding
+                  : width;
+                const barWidth = (xDomainWidth * 0.6) / barCount;
 
-                  try {
-                    const rangeData = this.transformData(data);
-                    const unitType = data[0].metadata.units_data.y;
-                    const barCount = rangeData.length;
-                    const barWidth = (width * 0.6) / barCount;
-
-                    const yAxisTickCount = Math.round(height / 36);
-                    const [y0DomainValues, yDomainValues] = rangeData.reduce(
-                      (acc, { y0, y }) => {
-                        acc[0].push(y0);
-                        acc[1].push(y);
-                        return acc;
-                      },
-                      [[], []]
-                    );
-                    const yAxisTickIncrement =
-                      (Math.max(...yDomainValues) -
-                        Math.min(...y0DomainValues)) /
-                      yAxisTickCount;
-
-                    return (
-                      <VictoryChart
-                        domainPadding={{
-                          x: barWidth / 2,
-                        }}
-                        height={height}
-                        width={width}
-                        theme={theme}
-                        padding={{
-                          top: 16,
-                          bottom: 40,
-                          left: 75,
-                          right: 25,
-                        }}
-                      >
-                        <VictoryAxis
-                          tickFormat={(label) =>
-                            truncateLabel(label, width / barCount)
-                          }
-                        />
-                        <VictoryAxis
-                          dependentAxis
-                          tickCount={yAxisTickCount}
-                          tickFormat={(tick) =>
-                            formatNumberTicks({
-                              unitType,
-                              tick,
-                              tickIncrement: yAxisTickIncrement,
-                            })
-                          }
-                        />
-                        <VictoryBar
-                          barWidth={barWidth}
-                          labelComponent={
-                            <VictoryTooltip horizontal constrainToVisibleArea />
-                          }
-                          style={{
-                            data: {
-                              fill: ({ datum }) => datum.color,
-                            },
-                          }}
-                          data={rangeData}
+                const yAxisTickCount = Math.round(
+                  isHorizontal
+                    ? (width - chartLeftPadding - chartRightPadding) / 80
+                    : height / 36
+                );
+                // keep reference lines in view when they are beyond the
+                // range bars
+                const yDomain = getAxisDomain(
+                  [
+                    ...rangeData.flatMap(({ low, high }) => [low, high]),
+                    ...referenceLines.map(({ value }) => value),
+                  ],
+                  { ...this.props.yAxis, scale: yScale, zeroBased }
+                );
+                const yAxisTickIncrement =
+                  (yDomain.max - yDomain.min) / yAxisTickCount;
+                const formatYAxisTick = (tick) =>
+                  formatNumberTicks({
+                    unitType,
+                    tick,
+                    tickIncrement: yAxisTickIncrement,
+                    scale: yScale,
+                  });
+
+                return (
+                  <VictoryChart
+                    domainPadding={{
+                      x: barWidth / 2,
+                    }}
+                    height={height}
+                    width={width}
+                    theme={theme}
+                    horizontal={isHorizontal}
+                    scale={{ y: yScale }}
+                    minDomain={{ y: yDomain.min }}
+                    maxDomain={{ y: yDomain.max }}
+                    padding={{
+                      top: chartTopPadding,
+                      bottom: chartBottomPadding,
+                      left: chartLeftPadding,
+                      right: chartRightPadding,
+                    }}
+                  >
+                    <VictoryAxis
+                      tickFormat={(label) =>
+                        truncateLabel(
+                          label,
+                          isHorizontal
+                            ? chartLeftPadding - 16
+                            : xDomainWidth / barCount,
+                          { position: 'middle' }
+                        )
+                      }
+                    />
+                    <VictoryAxis
+                      dependentAxis
+                      tickCount={yAxisTickCount}
+                      // log axes get a tick per power of ten
+                      tickValues={
+                        yScale === AXIS_SCALES.LOG
+                          ? getLogTicks(yDomain, yAxisTickCount)
+                          : undefined
+                      }
+                      tickFormat={formatYAxisTick}
+                    />
+                    <ReferenceLayer
+                      bands={getThresholdBands(thresholds)}
+                      lines={referenceLines}
+                      formatValue={formatYAxisTick}
+                    />
+                    <VictoryBar
+                      barWidth={barWidth}
+                      // keep bars beyond fixed axis bounds off the axes
+                      groupComponent={<VictoryClipContainer />}
+                      labelComponent={
+                        <VictoryTooltip
+                          horizontal={!isHorizontal}
+                          constrainToVisibleArea
                         />
-                      </VictoryChart>
-                    );
-                  } catch (e) {
-                    return <ErrorState />;
-                  }
-                }}
-              </NrqlQuery>
-            )}
-          </PlatformStateContext.Consumer>
+                      }
+                      style={{
+                        data: {
+                          fill: ({ datum }) => datum.color,
+                          cursor: clickEvents.length ? 'pointer' : 'auto',
+                        },
+                      }}
+                      events={clickEvents}
+                      data={rangeData}
+                      dataComponent={<BoxPlotBar />}
+                    />
+                  </VictoryChart>
+                );
+              } catch (e) {
+                return <ErrorState />;
+              }
+            }}
+          </VisualizationQuery>
         )}
       </AutoSizer>
     );
@@ -256,6 +720,11 @@ const EmptyState = () => (
         The bottom of the range bar is represented by the first aggregate value.
         <br />
         The top of the range bar is represented by the second aggregate value.
+        <br />
+        Three to five aggregate values, from lowest to highest, draw a
+        box-and-whisker plot instead.
+        <br />
+        With a TIMESERIES clause, ranges are drawn as bands over time.
       </HeadingText>
     </CardBody>
   </Card>
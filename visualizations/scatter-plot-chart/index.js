@@ -1,31 +1,70 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import {
-  Card,
-  CardBody,
-  HeadingText,
-  NrqlQuery,
-  Spinner,
-  AutoSizer,
-} from 'nr1';
+import cx from 'classnames';
+import { Card, CardBody, HeadingText, AutoSizer } from 'nr1';
 import {
   VictoryChart,
   VictoryScatter,
-  VictoryContainer,
   VictoryAxis,
+  VictoryClipContainer,
   VictoryLabel,
+  VictoryLine,
+  VictorySelectionContainer,
   VictoryTooltip,
+  VictoryZoomContainer,
 } from 'victory';
+import { CLICK_ACTIONS, getClickEvents } from '../../src/click-actions';
 import Legend from '../../src/legend';
-import NrqlQueryError from '../../src/nrql-query-error/nrql-query-error';
 import theme from '../../src/theme';
+import Colors from '../../src/colors';
+import { getAllSeries } from '../../src/utils/nrql-data';
+import { getConfiguredQueries } from '../../src/utils/nrql-queries';
+import { isolateSeries, toggleSeries } from '../../src/utils/hidden-series';
 import {
-  getUniqueAggregatesAndFacets,
-  getUniqueNonAggregates,
-} from '../../src/utils/nrql-validation-helper';
+  LEGEND_OVERFLOW,
+  LEGEND_POSITIONS,
+  getLegendLayout,
+} from '../../src/utils/legend-layout';
 import NoDataState from '../../src/no-data-state';
-import { getFacetLabel } from '../../src/utils/facets';
+import VisualizationQuery from '../../src/visualization-query';
+import ColorScaleBar from '../../src/color-scale-bar';
+import DenseScatter, { DENSE_MODES } from '../../src/dense-scatter';
+import MarginalHistograms from '../../src/marginal-histograms';
+import ReferenceLayer from '../../src/reference-layer';
+import SelectionSummary from '../../src/selection-summary';
+import {
+  AXIS_SCALES,
+  fitsScale,
+  getAxisDomain,
+  getLogTicks,
+} from '../../src/utils/axis-scale';
+import {
+  AXIS_TYPES,
+  getAxisType,
+  getCategories,
+  getCategoryPosition,
+  getCategoryTicks,
+} from '../../src/utils/axis-types';
+import { withQueryLabel } from '../../src/utils/facets';
+import truncateLabel from '../../src/utils/truncate-label';
+import {
+  TREND_LINE_TYPES,
+  linearRegression,
+  loess,
+} from '../../src/utils/regression';
+import { getSelectionSummary } from '../../src/utils/selection-summary';
+import {
+  COLOR_SCALES,
+  SEQUENTIAL_COLORS,
+  getContinuousColor,
+} from '../../src/utils/color-scale';
 import { formatNumberTicks, typeToUnit } from '../../src/utils/units';
+import {
+  getReferenceLines,
+  getThresholdBands,
+  getThresholdColor,
+  getThresholdLines,
+} from '../../src/utils/thresholds';
 
 const tooltipTextStyles = {
   fontFamily: 'var(--nr1--typography--body--1--font-family)',
@@ -33,6 +72,53 @@ const tooltipTextStyles = {
   fontSize: 10,
 };
 
+const queryColors = Object.values(Colors.dataviz);
+
+const TREND_LINE_GROUPS = {
+  OVERALL: 'overall',
+  GROUP: 'group',
+};
+
+// legend label of the trend of all points
+const OVERALL_TREND_LABEL = 'Trend';
+
+// dragging over the chart either pans it or selects points
+const INTERACTION_MODES = {
+  ZOOM: 'zoom',
+  SELECT: 'select',
+};
+
+// name of the scatter, telling its points apart from trend line points
+const POINTS_NAME = 'points';
+
+const CHART_TOP_PADDING = 36;
+const CHART_BOTTOM_PADDING = 60;
+// room marginal histograms take above and right of the plot area, along with
+// the space between them and the plot area
+const MARGINAL_SIZE = 40;
+const MARGINAL_PADDING = MARGINAL_SIZE + 8;
+
+// number of points past which they are drawn on canvas or grouped in hexagons
+const DEFAULT_DENSE_THRESHOLD = 2000;
+
+/**
+ * Returns the smallest and largest x and y values of the given points.
+ *
+ * @param {{x: number, y: number}[]} series
+ * @returns {{xMin: number, xMax: number, yMin: number, yMax: number}}
+ */
+const getRange = (series) => {
+  const xValues = series.map(({ x }) => x);
+  const yValues = series.map(({ y }) => y);
+
+  return {
+    xMin: Math.min(...xValues),
+    xMax: Math.max(...xValues),
+    yMin: Math.min(...yValues),
+    yMax: Math.max(...yValues),
+  };
+};
+
 export default class ScatterPlotChartVisualization extends React.Component {
   // Custom props you wish to be configurable in the UI must also be defined in
   // the nr1.json file for the visualization. See docs for more details.
@@ -40,14 +126,34 @@ export default class ScatterPlotChartVisualization extends React.Component {
     /**
      * An array of objects consisting of a nrql `query` and `accountId`.
      * This should be a standard prop for any NRQL based visualizations.
+     * Each query adds its own points to the chart, labeled with its `label`.
      */
     nrqlQueries: PropTypes.arrayOf(
       PropTypes.shape({
         accountId: PropTypes.number,
         query: PropTypes.string,
+        label: PropTypes.string,
       })
     ),
 
+    /**
+     * Objects consisting of configuration properties for the x-axis and the
+     * y-axis. Scale spaces values evenly or by powers of ten. Min and max fix
+     * the bounds of the axis, and zero-based includes zero in a linear axis.
+     */
+    xAxis: PropTypes.shape({
+      scale: PropTypes.oneOf(Object.values(AXIS_SCALES)),
+      min: PropTypes.number,
+      max: PropTypes.number,
+      zeroBased: PropTypes.bool,
+    }),
+    yAxis: PropTypes.shape({
+      scale: PropTypes.oneOf(Object.values(AXIS_SCALES)),
+      min: PropTypes.number,
+      max: PropTypes.number,
+      zeroBased: PropTypes.bool,
+    }),
+
     /**
      * Object with a singular boolean value.
      * Determines if "other" attributes are included in visualization.
@@ -55,129 +161,355 @@ export default class ScatterPlotChartVisualization extends React.Component {
     other: PropTypes.shape({
       visible: PropTypes.bool,
     }),
+
+    /**
+     * Object consisting of configuration properties for the legend.
+     * Position places the legend below or right of the chart, or hides it.
+     * Overflow determines if legend items that don't fit are scrolled to or
+     * listed behind a "+N more" entry. Points have an x and a y value rather
+     * than a single one to total or take the latest of, so legend items show
+     * no values besides the R² of trend lines.
+     */
+    legend: PropTypes.shape({
+      position: PropTypes.oneOf(Object.values(LEGEND_POSITIONS)),
+      overflow: PropTypes.oneOf(Object.values(LEGEND_OVERFLOW)),
+    }),
+
+    /**
+     * Object with a singular enum value.
+     * Determines what clicking a point does: filter the dashboard by the
+     * facet values behind it, open its query in the data explorer, or open
+     * the entity behind it when the query is FACETed by `entityGuid`.
+     */
+    clickAction: PropTypes.shape({
+      action: PropTypes.oneOf(Object.values(CLICK_ACTIONS)),
+    }),
+
+    /**
+     * Configuration that determines what values to shade and mark as warning
+     * or critical on the y-axis. When `colorByThreshold` is toggled on, points
+     * are colored by whether their y value is critical or successful.
+     */
+    thresholds: PropTypes.shape({
+      warningThreshold: PropTypes.number,
+      criticalThreshold: PropTypes.number,
+      highValuesAreSuccess: PropTypes.bool,
+      colorByThreshold: PropTypes.bool,
+    }),
+
+    /**
+     * An array of labeled values to draw a line at, such as SLO targets.
+     * Lines cross the y-axis unless their `axis` is "x".
+     */
+    referenceLines: PropTypes.arrayOf(
+      PropTypes.shape({
+        axis: PropTypes.oneOf(['x', 'y']),
+        value: PropTypes.number,
+        label: PropTypes.string,
+      })
+    ),
+
+    /**
+     * Object with a singular enum value.
+     * Determines how a fourth attribute selected in a non-aggregate query
+     * colors the points: a palette color per value (categorical), colors
+     * blended along the range of its values (continuous), or either by
+     * whether its values are numbers (auto).
+     */
+    colorBy: PropTypes.shape({
+      scale: PropTypes.oneOf(Object.values(COLOR_SCALES)),
+    }),
+
+    /**
+     * Object consisting of configuration properties for trend lines.
+     * Type draws a least-squares line or a LOESS curve through the points.
+     * Group by fits a trend to all points, or to the points of every legend
+     * group. Show R² adds the coefficient of determination of a linear fit to
+     * the legend.
+     */
+    trendLine: PropTypes.shape({
+      type: PropTypes.oneOf(Object.values(TREND_LINE_TYPES)),
+      groupBy: PropTypes.oneOf(Object.values(TREND_LINE_GROUPS)),
+      showRSquared: PropTypes.bool,
+    }),
+
+    /**
+     * Object consisting of configuration properties for marginal histograms.
+     * Show draws histograms of where points lie along the x-axis above the
+     * chart and along the y-axis right of it. Bin count sets how many bars
+     * each histogram has, except along categorical axes, which get a bar per
+     * category.
+     */
+    marginals: PropTypes.shape({
+      show: PropTypes.bool,
+      binCount: PropTypes.number,
+    }),
+
+    /**
+     * Object consisting of configuration properties for charts with many
+     * points. Once there are more points than the threshold, they are all
+     * drawn on a single canvas, or grouped into hexagons (hexbin), instead of
+     * an SVG element each. Tooltips then show the point nearest the pointer.
+     */
+    denseData: PropTypes.shape({
+      mode: PropTypes.oneOf(Object.values(DENSE_MODES)),
+      threshold: PropTypes.number,
+    }),
+
+    /**
+     * Configuration that lets the widget look back over its own time range,
+     * in minutes, instead of following the dashboard time picker.
+     */
+    timeRange: PropTypes.shape({
+      since: PropTypes.string,
+    }),
   };
 
-  getAggregatesData = (rawData, functionDisplayNames) => {
+  // facet group names of the points hidden through the legend, the domain
+  // zoomed or panned to, if any, and the points selected by dragging over the
+  // chart. `zoomResets` counts zoom resets, remounting the chart to drop the
+  // domain its zoom container keeps.
+  state = {
+    hiddenSeries: [],
+    interactionMode: INTERACTION_MODES.ZOOM,
+    zoomDomain: null,
+    zoomResets: 0,
+    selectedPoints: [],
+  };
+
+  toggleSeries = (label, labels) =>
+    this.setState(({ hiddenSeries }) => ({
+      hiddenSeries: toggleSeries(hiddenSeries, label, labels),
+    }));
+
+  isolateSeries = (label, labels) =>
+    this.setState(({ hiddenSeries }) => ({
+      hiddenSeries: isolateSeries(hiddenSeries, label, labels),
+    }));
+
+  setInteractionMode = (interactionMode) =>
+    this.setState({ interactionMode, selectedPoints: [] });
+
+  resetZoom = () =>
+    this.setState(({ zoomResets }) => ({
+      zoomDomain: null,
+      zoomResets: zoomResets + 1,
+    }));
+
+  /**
+   * Keeps the points of the scatter within the selection, leaving out trend
+   * line points.
+   *
+   * @param {{childName: string, data: Object[]}[]} selection
+   */
+  selectPoints = (selection) =>
+    this.setState({
+      selectedPoints: selection
+        .filter(({ childName }) => childName === POINTS_NAME)
+        .flatMap(({ data }) => data),
+    });
+
+  clearSelection = () => this.setState({ selectedPoints: [] });
+
+  /**
+   * Builds a point per facet for an aggregate query, the position of each
+   * aggregate function in the SELECT clause determining which value it
+   * provides.
+   */
+  getAggregatesData = ({ aggregates, series }) => {
     const {
       other: { visible: showOther },
     } = this.props;
-    const queryHasZField = functionDisplayNames.length > 2;
+    const queryHasZField = aggregates.length > 2;
 
-    // `rawData` contains an entry per combo of aggregate function and facet. Here
+    // `series` contains an entry per combo of aggregate function and facet. Here
     // we reduce that structure to an entry per facet each of which contains
     // all of the facet's aggregate function values.
-    const facetGroupData = rawData.reduce((acc, { data, metadata }) => {
-      const facetGroupName = getFacetLabel(metadata?.groups);
-      if (!showOther && facetGroupName === 'Other') {
+    const facetGroupData = series.reduce((acc, entry) => {
+      const { facetLabel, queryLabel, value, unitType, aggregate } = entry;
+      const { facets, queryIndex } = entry;
+      if (!showOther && facetLabel === 'Other') {
         return acc;
       }
 
-      const dataValue = data?.[0]?.y;
-      const unitType = metadata?.units_data?.y;
-      const aggregateFunction = metadata?.groups.filter(
-        (group) => group.type === 'function'
-      )[0];
-      const functionDisplayName = aggregateFunction?.displayName;
-      const functionPosition =
-        functionDisplayNames.indexOf(functionDisplayName);
+      const facetGroupName = withQueryLabel(facetLabel, queryLabel);
 
       if (!(facetGroupName in acc)) {
-        acc[facetGroupName] = {};
+        // keep the facets and query behind each point for click actions
+        acc[facetGroupName] = { facets, queryIndex };
       }
 
-      switch (functionPosition) {
+      switch (entry.aggregateIndex) {
         case 0:
           // The first aggregate function determines the x-axis value
-          acc[facetGroupName].color = metadata.color;
-          acc[facetGroupName].x = dataValue;
+          acc[facetGroupName].color = entry.color;
+          acc[facetGroupName].x = value;
           acc[facetGroupName].xUnitType = unitType;
-          acc[facetGroupName].xDisplayName = functionDisplayName;
+          acc[facetGroupName].xDisplayName = aggregate;
           break;
         case 1:
           // The second aggregate function determines the y-axis value
-          acc[facetGroupName].y = dataValue;
+          acc[facetGroupName].y = value;
           acc[facetGroupName].yUnitType = unitType;
-          acc[facetGroupName].yDisplayName = functionDisplayName;
+          acc[facetGroupName].yDisplayName = aggregate;
           break;
         case 2:
           // If present, the third aggregate function determines the size
-          acc[facetGroupName].z = dataValue;
+          acc[facetGroupName].z = value;
           acc[facetGroupName].zUnitType = unitType;
-          acc[facetGroupName].zDisplayName = functionDisplayName;
+          acc[facetGroupName].zDisplayName = aggregate;
           break;
       }
 
       return acc;
     }, {});
 
-    const series = Object.entries(facetGroupData).map(
-      ([facetGroupName, facetGroupData]) => ({
+    return Object.entries(facetGroupData)
+      .map(([facetGroupName, facetGroupData]) => ({
         facetGroupName,
         ...facetGroupData,
-      })
-    );
+      }))
+      .filter((entry) => !this.entryHasNulls(entry, queryHasZField));
+  };
 
-    const seriesWithoutNulls = series.filter(
-      (entry) => !this.entryHasNulls(entry, queryHasZField)
+  /**
+   * Builds a point per event for non-aggregate queries. When results of
+   * several queries are combined, every query gets its own color and its
+   * points are grouped under the query's `queryLabel`.
+   *
+   * A single selected attribute is plotted over time: NRQL adds the
+   * `timestamp` of every event to the results, and leaves it out of the
+   * selected attributes even when it is selected.
+   *
+   * Timestamp attributes are placed on a time axis, and attributes with values
+   * that aren't numbers, such as host names, on a categorical axis. Points
+   * are spread around the position of their category, and keep the category
+   * and formatted timestamp as `xText` and `yText` for tooltips.
+   *
+   * Points are colored by the fourth selected attribute, if any, or else by
+   * the facet of their series. Points of a categorical color attribute, or of
+   * a facet, are grouped under its value. The `colorScale` of a continuous
+   * color attribute is returned along with the points.
+   */
+  getNonAggregatesData = (queries) => {
+    const [{ attributes: selectedAttributes }] = queries;
+    const attributes =
+      selectedAttributes.length === 1
+        ? ['timestamp', ...selectedAttributes]
+        : selectedAttributes;
+    const queryHasZField = attributes.length > 2;
+    const [xAttributeName, yAttributeName, zAttributeName] = attributes;
+    const allSeries = getAllSeries(queries);
+    const [xAxis, yAxis] = [xAttributeName, yAttributeName].map(
+      (attributeName) => {
+        const values = allSeries.flatMap(({ events }) =>
+          events.map((event) => event[attributeName])
+        );
+        const type = getAxisType(values, allSeries[0].unitsData[attributeName]);
+
+        return {
+          type,
+          categories: type === AXIS_TYPES.CATEGORY ? getCategories(values) : [],
+        };
+      }
     );
+    const colorAttributeName = attributes[3];
+    const colorScale = colorAttributeName
+      ? this.getColorScale(allSeries, colorAttributeName)
+      : null;
+    // seeds the jitter of every point on a categorical axis
+    let pointIndex = 0;
 
-    const xValues = seriesWithoutNulls.map(({ x }) => x);
-    const yValues = seriesWithoutNulls.map(({ y }) => y);
+    const getPosition = (value, { type, categories }) =>
+      type === AXIS_TYPES.CATEGORY
+        ? getCategoryPosition(value, categories, pointIndex++)
+        : value;
+    const getText = (value, { type }) => {
+      if (value === null || value === undefined || type === AXIS_TYPES.NUMBER) {
+        return undefined;
+      }
 
-    return {
-      series: seriesWithoutNulls,
-      range: {
-        xMin: Math.min(...xValues),
-        xMax: Math.max(...xValues),
-        yMin: Math.min(...yValues),
-        yMax: Math.max(...yValues),
-      },
+      return type === AXIS_TYPES.TIME
+        ? formatNumberTicks({ unitType: 'TIMESTAMP', tick: value })
+        : String(value);
     };
-  };
 
-  getNonAggregatesData = (rawData) => {
-    const { uniqueNonAggregates } = getUniqueNonAggregates(rawData);
-    const queryHasZField = uniqueNonAggregates.size > 2;
-    const attributeNames = Array.from(uniqueNonAggregates);
-    const xAttributeName = attributeNames[0];
-    const yAttributeName = attributeNames[1];
-    const zAttributeName = attributeNames[2];
-    const { data, metadata } = rawData[0];
-    const xUnitType = metadata.units_data[xAttributeName];
-    const yUnitType = metadata.units_data[yAttributeName];
-    const zUnitType = metadata.units_data[zAttributeName];
-    const color = metadata.color;
-    let xMin;
-    let xMax;
-    let yMin;
-    let yMax;
-
-    const series = data.map((point) => {
-      const x = point[xAttributeName];
-      const y = point[yAttributeName];
-      const datapoint = {
-        x,
-        y,
-        xDisplayName: xAttributeName,
-        yDisplayName: yAttributeName,
-        xUnitType,
-        yUnitType,
-        color,
-      };
-      xMin = Math.min(xMin || x, x);
-      xMax = Math.max(xMax || x, x);
-      yMin = Math.min(yMin || y, y);
-      yMax = Math.max(yMax || y, y);
-
-      // If present, the third attribute queried determines the size
-      if (point[zAttributeName]) {
-        datapoint.z = point[zAttributeName];
-        datapoint.zDisplayName = zAttributeName;
-        datapoint.zUnitType = zUnitType;
-      }
+    const series = allSeries.flatMap(
+      ({
+        events,
+        unitsData,
+        color: colorFromData,
+        facets,
+        facetLabel,
+        queryIndex,
+        queryLabel,
+      }) => {
+        const xUnitType = unitsData[xAttributeName];
+        const yUnitType = unitsData[yAttributeName];
+        const zUnitType = unitsData[zAttributeName];
+        // facets keep the color NRQL gives their series
+        const color =
+          queryLabel && !facetLabel
+            ? queryColors[queryIndex % queryColors.length]
+            : colorFromData;
+        const groupName = facetLabel
+          ? withQueryLabel(facetLabel, queryLabel)
+          : queryLabel;
 
-      return datapoint;
-    });
+        return events.map((point) => {
+          const datapoint = {
+            x: getPosition(point[xAttributeName], xAxis),
+            y: getPosition(point[yAttributeName], yAxis),
+            xText: getText(point[xAttributeName], xAxis),
+            yText: getText(point[yAttributeName], yAxis),
+            xDisplayName: xAttributeName,
+            yDisplayName: yAttributeName,
+            xUnitType,
+            yUnitType,
+            color,
+            // keep the facets and query behind each point for click actions
+            facets,
+            queryIndex,
+          };
+          if (groupName) {
+            datapoint.facetGroupName = groupName;
+          }
+
+          const colorValue = point[colorAttributeName];
+
+          if (colorScale?.type === COLOR_SCALES.CATEGORICAL) {
+            const category = colorValue ?? 'null';
+
+            datapoint.facetGroupName = withQueryLabel(
+              String(category),
+              queryLabel
+            );
+            datapoint.color =
+              queryColors[
+                colorScale.categories.indexOf(String(category)) %
+                  queryColors.length
+              ];
+          } else if (colorScale?.type === COLOR_SCALES.CONTINUOUS) {
+            datapoint.color =
+              typeof colorValue === 'number'
+                ? getContinuousColor(colorValue, colorScale)
+                : Colors.base.gray6;
+            datapoint.colorValue = colorValue;
+            datapoint.colorDisplayName = colorAttributeName;
+            datapoint.colorUnitType = colorScale.unitType;
+          }
+
+          // If present, the third attribute queried determines the size
+          if (point[zAttributeName]) {
+            datapoint.z = point[zAttributeName];
+            datapoint.zDisplayName = zAttributeName;
+            datapoint.zUnitType = zUnitType;
+          }
+
+          return datapoint;
+        });
+      }
+    );
 
     const seriesWithoutNulls = series.filter(
       (entry) => !this.entryHasNulls(entry, queryHasZField)
@@ -185,7 +517,51 @@ export default class ScatterPlotChartVisualization extends React.Component {
 
     return {
       series: seriesWithoutNulls,
-      range: { xMin, xMax, yMin, yMax },
+      range: getRange(seriesWithoutNulls),
+      axes: { x: xAxis, y: yAxis },
+      colorScale,
+    };
+  };
+
+  /**
+   * Returns how to color points by an attribute: by a palette color per value
+   * of the attribute (categorical), or by blending colors along the range of
+   * its values (continuous). Unless configured otherwise, attributes with
+   * values that aren't numbers are categorical.
+   *
+   * @param {Object[]} allSeries
+   * @param {string} attributeName
+   * @returns {{type: string, label: string, categories: string[], min: number, max: number, unitType: string}}
+   */
+  getColorScale = (allSeries, attributeName) => {
+    const {
+      colorBy: { scale = COLOR_SCALES.AUTO },
+    } = this.props;
+    const values = allSeries.flatMap(({ events }) =>
+      events.map((event) => event[attributeName])
+    );
+    const numbers = values.filter((value) => typeof value === 'number');
+    const isCategorical =
+      scale === COLOR_SCALES.CATEGORICAL ||
+      !numbers.length ||
+      (scale === COLOR_SCALES.AUTO &&
+        getAxisType(values) === AXIS_TYPES.CATEGORY);
+
+    if (isCategorical) {
+      return {
+        type: COLOR_SCALES.CATEGORICAL,
+        label: attributeName,
+        // points without a value are grouped as "null"
+        categories: getCategories(values.map((value) => value ?? 'null')),
+      };
+    }
+
+    return {
+      type: COLOR_SCALES.CONTINUOUS,
+      label: attributeName,
+      min: Math.min(...numbers),
+      max: Math.max(...numbers),
+      unitType: allSeries[0].unitsData[attributeName],
     };
   };
 
@@ -199,36 +575,223 @@ export default class ScatterPlotChartVisualization extends React.Component {
     return axisValues.some((v) => v === null || v === undefined);
   };
 
-  transformData = (data) => {
-    const { uniqueNonAggregates } = getUniqueNonAggregates(data);
-    if (uniqueNonAggregates.size > 1) {
-      return this.getNonAggregatesData(data);
+  transformData = (queries) => {
+    if (this.isNonAggregateQuery(queries[0])) {
+      return this.getNonAggregatesData(queries);
+    }
+
+    const series = queries.flatMap(this.getAggregatesData);
+    const numberAxis = { type: AXIS_TYPES.NUMBER, categories: [] };
+
+    return {
+      series,
+      range: getRange(series),
+      axes: { x: numberAxis, y: numberAxis },
+      colorScale: null,
+    };
+  };
+
+  /**
+   * Combines the type of an axis with its configuration. Only numeric axes
+   * take the configured scale and bounds: time axes are linear, and
+   * categorical axes span their categories.
+   *
+   * @param {{type: string, categories: string[]}} axis
+   * @param {{scale: string, min: number, max: number, zeroBased: boolean}} configuration
+   * @returns {{type: string, categories: string[], scale: string, min: number, max: number, zeroBased: boolean}}
+   */
+  getAxisConfiguration = ({ type, categories }, configuration) => {
+    switch (type) {
+      case AXIS_TYPES.CATEGORY:
+        return {
+          type,
+          categories,
+          scale: AXIS_SCALES.LINEAR,
+          min: 0.5,
+          max: categories.length + 0.5,
+        };
+      case AXIS_TYPES.TIME:
+        return { type, categories, scale: AXIS_SCALES.LINEAR };
+      default:
+        return {
+          ...configuration,
+          type,
+          categories,
+          scale: configuration.scale ?? AXIS_SCALES.LINEAR,
+        };
     }
+  };
 
-    const { uniqueAggregates } = getUniqueAggregatesAndFacets(data);
-    if (uniqueAggregates.size > 1) {
-      return this.getAggregatesData(data, Array.from(uniqueAggregates));
+  /**
+   * Leaves out the points of facet groups hidden through the legend and the
+   * points that don't fit a log axis, and fits the range to the remaining
+   * points so that the axes rescale.
+   */
+  getVisibleData = ({ series, range }, axes) => {
+    const { hiddenSeries } = this.state;
+    const isVisible = ({ x, y, facetGroupName }) =>
+      !hiddenSeries.includes(facetGroupName) &&
+      fitsScale(x, axes.x.scale) &&
+      fitsScale(y, axes.y.scale);
+
+    if (series.every(isVisible)) {
+      return { series, range };
     }
 
-    return null;
+    const visibleSeries = series.filter(isVisible);
+
+    return { series: visibleSeries, range: getRange(visibleSeries) };
   };
 
-  nrqlInputIsValid = (data) => {
-    const { uniqueAggregates } = getUniqueAggregatesAndFacets(data);
-    const { uniqueNonAggregates } = getUniqueNonAggregates(data);
+  /**
+   * Returns the `minDomain` and `maxDomain` chart props of the configured
+   * axes, which keep reference lines in view when they are beyond the points.
+   * Bounds that match the points are left to the domain Victory derives from
+   * the points.
+   */
+  getDomainProps = (series, referenceLines, axes) => {
+    const dataRange = getRange(series);
+
+    return ['x', 'y'].reduce(
+      (acc, axis) => {
+        const { min, max } = getAxisDomain(
+          [
+            ...series.map((point) => point[axis]),
+            ...referenceLines
+              .filter((line) => line.axis === axis)
+              .map(({ value }) => value),
+          ],
+          axes[axis]
+        );
 
-    return uniqueAggregates.size >= 2 || uniqueNonAggregates.size >= 2;
+        if (min !== dataRange[`${axis}Min`]) {
+          acc.minDomain[axis] = min;
+        }
+
+        if (max !== dataRange[`${axis}Max`]) {
+          acc.maxDomain[axis] = max;
+        }
+
+        return acc;
+      },
+      { minDomain: {}, maxDomain: {} }
+    );
+  };
+
+  /**
+   * Fits trends to all of the given points, or to the points of every legend
+   * group. Every trend has the `data` of the line or curve to draw, if any,
+   * and the `rSquared` of a linear fit when the points determine one.
+   *
+   * @param {{x: number, y: number, facetGroupName: string, color: string}[]} series
+   * @param {{type: string, groupBy: string}} trendLine
+   * @returns {{label: string, color: string, data: {x: number, y: number}[], rSquared: number}[]}
+   */
+  getTrends = (series, { type, groupBy }) => {
+    const groups =
+      groupBy === TREND_LINE_GROUPS.GROUP
+        ? Object.values(
+            series.reduce((acc, point) => {
+              const { facetGroupName: label, color } = point;
+
+              if (!acc[label]) {
+                acc[label] = { label, color, points: [] };
+              }
+
+              acc[label].points.push(point);
+              return acc;
+            }, {})
+          )
+        : [
+            {
+              label: OVERALL_TREND_LABEL,
+              color: Colors.base.gray7,
+              points: series,
+            },
+          ];
+
+    return groups.map(({ label, color, points }) => {
+      const regression = linearRegression(points);
+      const { xMin, xMax } = getRange(points);
+      let data = [];
+
+      if (type === TREND_LINE_TYPES.LINEAR && regression) {
+        const { slope, intercept } = regression;
+
+        data = [xMin, xMax].map((x) => ({ x, y: slope * x + intercept }));
+      } else if (type === TREND_LINE_TYPES.LOESS) {
+        data = loess(points);
+      }
+
+      return { label, color, data, rSquared: regression?.rSquared };
+    });
+  };
+
+  isNonAggregateQuery = ({ attributes }) => attributes.length > 0;
+
+  nrqlInputIsValid = (queries) => {
+    const queriesAreValid = queries.every(
+      ({ aggregates, attributes }) =>
+        aggregates.length >= 2 || attributes.length >= 1
+    );
+
+    // aggregate and non-aggregate queries can't be plotted together
+    const queryKinds = new Set(queries.map(this.isNonAggregateQuery));
+
+    // the axes of non-aggregate queries come from their selected attributes,
+    // so all of them have to select the same ones
+    const selectedAttributes = new Set(
+      queries
+        .filter(this.isNonAggregateQuery)
+        .map(({ attributes }) => JSON.stringify(attributes))
+    );
+
+    return (
+      queriesAreValid && queryKinds.size === 1 && selectedAttributes.size <= 1
+    );
   };
 
-  getAxisLabelProps = ({ displayName, unitType, min, max, tickCount }) => {
+  getAxisLabelProps = ({
+    displayName,
+    unitType,
+    scale,
+    categories = [],
+    min,
+    max,
+    tickCount,
+    labelWidth,
+  }) => {
+    const label = `${displayName}${typeToUnit(unitType || 'UNKNOWN')}`;
+
+    // categorical axes get a tick per category, labeled with the category
+    if (categories.length) {
+      return {
+        label,
+        tickCount,
+        tickValues: getCategoryTicks(
+          { min, max },
+          categories.length,
+          tickCount
+        ),
+        tickFormat: (tick) =>
+          truncateLabel(categories[Math.round(tick) - 1] ?? '', labelWidth),
+      };
+    }
+
     return {
-      label: `${displayName}${typeToUnit(unitType || 'UNKNOWN')}`,
+      label,
       tickCount,
+      // log axes get a tick per power of ten
+      tickValues:
+        scale === AXIS_SCALES.LOG
+          ? getLogTicks({ min, max }, tickCount)
+          : undefined,
       tickFormat: (tick) =>
         formatNumberTicks({
           unitType,
           tick,
           tickIncrement: (max - min) / tickCount,
+          scale,
         }),
     };
   };
@@ -240,13 +803,32 @@ export default class ScatterPlotChartVisualization extends React.Component {
       lines.push(datum.facetGroupName);
     }
 
-    lines.push(this.valueLabel(datum.xDisplayName, datum.x, datum.xUnitType));
-    lines.push(this.valueLabel(datum.yDisplayName, datum.y, datum.yUnitType));
+    // categories and timestamps are shown as text rather than positions
+    lines.push(
+      datum.xText === undefined
+        ? this.valueLabel(datum.xDisplayName, datum.x, datum.xUnitType)
+        : `${datum.xDisplayName}: ${datum.xText}`
+    );
+    lines.push(
+      datum.yText === undefined
+        ? this.valueLabel(datum.yDisplayName, datum.y, datum.yUnitType)
+        : `${datum.yDisplayName}: ${datum.yText}`
+    );
 
     if ('z' in datum) {
       lines.push(this.valueLabel(datum.zDisplayName, datum.z, datum.zUnitType));
     }
 
+    if ('colorValue' in datum) {
+      lines.push(
+        this.valueLabel(
+          datum.colorDisplayName,
+          datum.colorValue,
+          datum.colorUnitType
+        )
+      );
+    }
+
     return lines;
   };
 
@@ -256,173 +838,509 @@ export default class ScatterPlotChartVisualization extends React.Component {
     }`;
 
   render() {
-    const { nrqlQueries } = this.props;
-    const nrqlQueryPropsAvailable =
-      nrqlQueries &&
-      nrqlQueries[0] &&
-      nrqlQueries[0].accountId &&
-      nrqlQueries[0].query;
-
-    if (!nrqlQueryPropsAvailable) {
+    const nrqlQueries = getConfiguredQueries(this.props.nrqlQueries);
+
+    if (!nrqlQueries.length) {
       return <EmptyState />;
     }
 
     return (
       <AutoSizer>
         {({ width, height }) => (
-          <NrqlQuery
-            query={nrqlQueries[0].query}
-            accountIds={[parseInt(nrqlQueries[0].accountId)]}
-            pollInterval={NrqlQuery.AUTO_POLL_INTERVAL}
+          <VisualizationQuery
+            nrqlQueries={nrqlQueries}
+            timeRange={this.props.timeRange}
+            isValid={this.nrqlInputIsValid}
+            unsupportedDescription="The provided NRQL query is not supported by this visualization. This chart supports non-aggregate and aggregate queries with an optional FACET clause. Please make sure each query has 2-3 aggregate functions or 1-4 attributes in the SELECT clause, and that queries are either all aggregate or all non-aggregate queries selecting the same attributes."
           >
-            {({ data, loading, error }) => {
-              if (loading) {
-                return <Spinner />;
-              }
-
-              if (error && data === null) {
-                return (
-                  <NrqlQueryError
-                    title="NRQL Syntax Error"
-                    description={error.message}
-                  />
-                );
-              }
+            {(queries) => {
+              const allData = this.transformData(queries);
+              const axes = {
+                x: this.getAxisConfiguration(allData.axes.x, this.props.xAxis),
+                y: this.getAxisConfiguration(allData.axes.y, this.props.yAxis),
+              };
+              const {
+                x: { scale: xScale },
+                y: { scale: yScale },
+              } = axes;
+              const isCategorical = (axis) =>
+                axes[axis].type === AXIS_TYPES.CATEGORY;
+              const { series, range } = this.getVisibleData(allData, axes);
+              // points are grouped by facet or by categorical color attribute,
+              // or by query when combining several queries
+              const hasGroups = allData.series.some(
+                ({ facetGroupName }) => facetGroupName !== undefined
+              );
+              const colorScale =
+                allData.colorScale?.type === COLOR_SCALES.CONTINUOUS
+                  ? allData.colorScale
+                  : null;
+              const {
+                trendLine: {
+                  type: trendLineType = TREND_LINE_TYPES.NONE,
+                  groupBy: trendLineGroupBy = TREND_LINE_GROUPS.OVERALL,
+                  showRSquared,
+                },
+              } = this.props;
+              // trends need a numeric position along both axes
+              const hasTrends =
+                (trendLineType !== TREND_LINE_TYPES.NONE || showRSquared) &&
+                !isCategorical('x') &&
+                !isCategorical('y');
+              // without groups, there is only the trend of all points
+              const trendGroupBy = hasGroups
+                ? trendLineGroupBy
+                : TREND_LINE_GROUPS.OVERALL;
+              // the trend of all points gets a legend item of its own
+              const hasOverallTrend =
+                hasTrends && trendGroupBy === TREND_LINE_GROUPS.OVERALL;
+              const showLegend = hasGroups || hasOverallTrend;
+              const {
+                legend: {
+                  position = LEGEND_POSITIONS.BOTTOM,
+                  overflow: legendOverflow = LEGEND_OVERFLOW.SCROLL,
+                },
+                clickAction: { action: clickAction },
+                thresholds,
+                referenceLines: configuredReferenceLines,
+              } = this.props;
+              const clickEvents = getClickEvents({
+                action: clickAction,
+                nrqlQueries,
+              });
+              const legendPosition = showLegend
+                ? position
+                : LEGEND_POSITIONS.HIDDEN;
 
-              if (!data.length) {
+              if (!series.length) {
                 return <NoDataState />;
               }
 
-              if (!this.nrqlInputIsValid(data)) {
-                return (
-                  <NrqlQueryError
-                    title="Unsupported NRQL query"
-                    description="The provided NRQL query is not supported by this visualization. This chart supports non-aggregate and aggregate queries with an optional FACET clause. Please make sure to have 2-3 aggregate functions or 2-3 attributes in the SELECT clause."
-                  />
-                );
-              }
-              const { uniqueAggregates } = getUniqueAggregatesAndFacets(data);
-              const { series, range } = this.transformData(data);
+              const trends = hasTrends
+                ? this.getTrends(series, {
+                    type: trendLineType,
+                    groupBy: trendGroupBy,
+                  })
+                : [];
+              const getRSquaredLabel = (label) => {
+                const rSquared = trends.find(
+                  (trend) => trend.label === label
+                )?.rSquared;
 
-              if (!series.length) {
-                return <NoDataState />;
-              }
+                return showRSquared && Number.isFinite(rSquared)
+                  ? `R² ${rSquared.toFixed(2)}`
+                  : undefined;
+              };
 
-              const legendItems = series.reduce((acc, curr) => {
+              const groupItems = allData.series.reduce((acc, curr) => {
                 if (!acc.some(({ label }) => label === curr.facetGroupName)) {
-                  acc.push({ label: curr.facetGroupName, color: curr.color });
+                  acc.push({
+                    label: curr.facetGroupName,
+                    color: curr.color,
+                    value: getRSquaredLabel(curr.facetGroupName),
+                    hidden: this.state.hiddenSeries.includes(
+                      curr.facetGroupName
+                    ),
+                  });
                 }
                 return acc;
               }, []);
+              const legendItems = [
+                ...(hasGroups ? groupItems : []),
+                ...(hasOverallTrend
+                  ? [
+                      {
+                        label: OVERALL_TREND_LABEL,
+                        color: Colors.base.gray7,
+                        value: getRSquaredLabel(OVERALL_TREND_LABEL),
+                        hidden:
+                          this.state.hiddenSeries.includes(OVERALL_TREND_LABEL),
+                      },
+                    ]
+                  : []),
+              ];
+              const legendLabels = legendItems.map(({ label }) => label);
+
+              // values can't be marked along categorical axes
+              const referenceLines = [
+                ...getThresholdLines(thresholds),
+                ...getReferenceLines(configuredReferenceLines),
+              ].filter(({ axis }) => !isCategorical(axis));
+              const thresholdBands = isCategorical('y')
+                ? []
+                : getThresholdBands(thresholds);
+              const domainProps = this.getDomainProps(
+                series,
+                referenceLines,
+                axes
+              );
+              const chartData =
+                thresholds.colorByThreshold && !isCategorical('y')
+                  ? series.map((point) => ({
+                      ...point,
+                      color: getThresholdColor(
+                        point.y,
+                        thresholds,
+                        point.color
+                      ),
+                    }))
+                  : series;
+              const { hiddenSeries, interactionMode, zoomDomain, zoomResets } =
+                this.state;
+              const isSelecting = interactionMode === INTERACTION_MODES.SELECT;
+              const selectionSummary = getSelectionSummary(
+                this.state.selectedPoints.filter(
+                  ({ facetGroupName }) => !hiddenSeries.includes(facetGroupName)
+                )
+              );
 
               const yTickLabelWidth = 45;
               const yAxisPadding = 16;
               const chartLeftPadding = yTickLabelWidth + yAxisPadding + 25;
-              const chartRightPadding = 25;
-              const legendHeight = 50;
-              const spaceBelowLegend = 16;
+              const {
+                marginals: { show: showMarginals, binCount: marginalBinCount },
+              } = this.props;
+              const chartTopPadding =
+                CHART_TOP_PADDING + (showMarginals ? MARGINAL_PADDING : 0);
+              const chartRightPadding =
+                25 + (showMarginals ? MARGINAL_PADDING : 0);
+              const { chartWidth, chartHeight, legendWidth, legendHeight } =
+                getLegendLayout({ position: legendPosition, width, height });
 
+              const xPlotWidth =
+                chartWidth - chartLeftPadding - chartRightPadding;
+              // timestamps take more room than numbers
+              const xTickCount = Math.max(
+                Math.round(
+                  xPlotWidth / (axes.x.type === AXIS_TYPES.TIME ? 140 : 100)
+                ),
+                1
+              );
               const xAxisLabelProps = this.getAxisLabelProps({
                 displayName: series[0]?.xDisplayName,
                 unitType: series[0]?.xUnitType,
-                min: range.xMin,
-                max: range.xMax,
-                tickCount: Math.round(
-                  (width - chartLeftPadding - chartRightPadding) / 100
-                ),
+                scale: xScale,
+                categories: axes.x.categories,
+                min: zoomDomain?.x[0] ?? domainProps.minDomain.x ?? range.xMin,
+                max: zoomDomain?.x[1] ?? domainProps.maxDomain.x ?? range.xMax,
+                tickCount: xTickCount,
+                labelWidth: xPlotWidth / xTickCount,
               });
 
               const yAxisLabelProps = this.getAxisLabelProps({
                 displayName: series[0]?.yDisplayName,
                 unitType: series[0]?.yUnitType,
-                min: range.yMin,
-                max: range.yMax,
-                tickCount: Math.round((height - legendHeight) / 70),
+                scale: yScale,
+                categories: axes.y.categories,
+                labelWidth: yTickLabelWidth,
+                min: zoomDomain?.y[0] ?? domainProps.minDomain.y ?? range.yMin,
+                max: zoomDomain?.y[1] ?? domainProps.maxDomain.y ?? range.yMax,
+                tickCount: Math.round(chartHeight / 70),
               });
+              const {
+                denseData: {
+                  mode: denseMode = DENSE_MODES.CANVAS,
+                  threshold: denseThreshold,
+                },
+              } = this.props;
+              // past the threshold, an SVG element per point gets too slow
+              const isDense =
+                chartData.length >
+                (denseThreshold > 0 ? denseThreshold : DEFAULT_DENSE_THRESHOLD);
+              const tooltip = (
+                <VictoryTooltip
+                  labelComponent={
+                    <VictoryLabel
+                      lineHeight={1.4}
+                      style={[
+                        {
+                          ...tooltipTextStyles,
+                          fontWeight: hasGroups
+                            ? 'var(--nr1--typography--heading--6--font-weight)'
+                            : tooltipTextStyles.fontWeight,
+                        },
+                        tooltipTextStyles,
+                        tooltipTextStyles,
+                        tooltipTextStyles,
+                        tooltipTextStyles,
+                      ]}
+                    />
+                  }
+                  horizontal
+                  constrainToVisibleArea
+                  pointerLength={8}
+                  dx={5}
+                  flyoutStyle={{
+                    stroke: ({ datum }) => datum.color,
+                    strokeWidth: 2,
+                    filter: 'none',
+                  }}
+                />
+              );
 
               return (
-                <>
-                  <VictoryChart
-                    containerComponent={<VictoryContainer responsive={false} />}
-                    width={width}
-                    height={height - legendHeight - spaceBelowLegend}
-                    padding={{
-                      top: 16,
-                      bottom: 60,
-                      left: chartLeftPadding,
-                      right: chartRightPadding,
-                    }}
-                    theme={theme}
+                <div
+                  className={cx(
+                    'LegendLayout',
+                    `LegendLayout--${legendPosition}`
+                  )}
+                >
+                  <div
+                    className="ScatterPlot-chart"
+                    style={{ width: chartWidth, height: chartHeight }}
                   >
-                    <VictoryAxis
-                      {...xAxisLabelProps}
-                      style={{
-                        axisLabel: { padding: 35 },
-                      }}
-                    />
-                    <VictoryAxis
-                      {...yAxisLabelProps}
-                      dependentAxis
-                      style={{
-                        axisLabel: { padding: yTickLabelWidth + yAxisPadding },
+                    <VictoryChart
+                      key={zoomResets}
+                      containerComponent={
+                        isSelecting ? (
+                          <VictorySelectionContainer
+                            responsive={false}
+                            onSelection={this.selectPoints}
+                            onSelectionCleared={this.clearSelection}
+                          />
+                        ) : (
+                          <VictoryZoomContainer
+                            responsive={false}
+                            zoomDomain={zoomDomain ?? undefined}
+                            onZoomDomainChange={(domain) =>
+                              this.setState({ zoomDomain: domain })
+                            }
+                          />
+                        )
+                      }
+                      width={chartWidth}
+                      height={chartHeight}
+                      padding={{
+                        top: chartTopPadding,
+                        bottom: CHART_BOTTOM_PADDING,
+                        left: chartLeftPadding,
+                        right: chartRightPadding,
                       }}
-                    />
-                    <VictoryScatter
-                      data={series}
-                      minBubbleSize={2.5} // only applied when z values are present
-                      style={{
-                        data: {
-                          fill: ({ datum }) => datum.color,
-                          fillOpacity: 0.7,
-                        },
+                      scale={{
+                        x: axes.x.type === AXIS_TYPES.TIME ? 'time' : xScale,
+                        y: axes.y.type === AXIS_TYPES.TIME ? 'time' : yScale,
                       }}
-                      labels={this.tooltipLabel}
-                      labelComponent={
-                        <VictoryTooltip
-                          labelComponent={
-                            <VictoryLabel
-                              lineHeight={1.4}
-                              style={[
-                                {
-                                  ...tooltipTextStyles,
-                                  fontWeight:
-                                    uniqueAggregates.size > 1
-                                      ? 'var(--nr1--typography--heading--6--font-weight)'
-                                      : tooltipTextStyles.fontWeight,
-                                },
-                                tooltipTextStyles,
-                                tooltipTextStyles,
-                                tooltipTextStyles,
-                              ]}
-                            />
+                      {...domainProps}
+                      // only the zoom container keeps the zoomed domain itself
+                      {...(isSelecting && zoomDomain
+                        ? { domain: zoomDomain }
+                        : {})}
+                      theme={theme}
+                    >
+                      <VictoryAxis
+                        {...xAxisLabelProps}
+                        style={{
+                          axisLabel: { padding: 35 },
+                        }}
+                      />
+                      <VictoryAxis
+                        {...yAxisLabelProps}
+                        dependentAxis
+                        style={{
+                          axisLabel: {
+                            padding: yTickLabelWidth + yAxisPadding,
+                          },
+                        }}
+                      />
+                      <ReferenceLayer
+                        bands={thresholdBands}
+                        lines={referenceLines}
+                        formatValue={(value, axis) =>
+                          axis === 'x'
+                            ? xAxisLabelProps.tickFormat(value)
+                            : yAxisLabelProps.tickFormat(value)
+                        }
+                      />
+                      {showMarginals && (
+                        <MarginalHistograms
+                          // points colored along a continuous scale are
+                          // counted together
+                          points={series.map(
+                            ({ x, y, facetGroupName, color }) =>
+                              colorScale
+                                ? { x, y, color: Colors.base.gray6 }
+                                : { x, y, group: facetGroupName, color }
+                          )}
+                          axes={axes}
+                          // left unset, the bin count defaults to 20
+                          binCount={
+                            marginalBinCount > 0
+                              ? Math.round(marginalBinCount)
+                              : undefined
                           }
-                          horizontal
-                          constrainToVisibleArea
-                          pointerLength={8}
-                          dx={5}
-                          flyoutStyle={{
-                            stroke: ({ datum }) => datum.color,
-                            strokeWidth: 2,
-                            filter: 'none',
+                          size={MARGINAL_SIZE}
+                        />
+                      )}
+                      {isDense ? (
+                        <DenseScatter
+                          name={POINTS_NAME}
+                          data={chartData}
+                          mode={denseMode}
+                          selectedPoints={this.state.selectedPoints}
+                          events={clickEvents}
+                          labels={this.tooltipLabel}
+                          tooltipComponent={tooltip}
+                        />
+                      ) : (
+                        <VictoryScatter
+                          name={POINTS_NAME}
+                          data={chartData}
+                          minBubbleSize={2.5} // only applied when z values are present
+                          events={clickEvents}
+                          // keep points beyond a zoomed domain off the axes
+                          groupComponent={<VictoryClipContainer />}
+                          style={{
+                            data: {
+                              fill: ({ datum }) => datum.color,
+                              // selected points stand out from the others
+                              fillOpacity: ({ active }) => {
+                                if (!selectionSummary) {
+                                  return 0.7;
+                                }
+
+                                return active ? 0.9 : 0.2;
+                              },
+                              cursor: clickEvents.length ? 'pointer' : 'auto',
+                            },
                           }}
+                          labels={this.tooltipLabel}
+                          labelComponent={tooltip}
                         />
-                      }
-                    />
-                  </VictoryChart>
-                  {uniqueAggregates.size > 1 && (
+                      )}
+                      {trends
+                        .filter(
+                          ({ label, data }) =>
+                            data.length > 1 &&
+                            !this.state.hiddenSeries.includes(label)
+                        )
+                        .map(({ label, color, data }) => (
+                          <VictoryLine
+                            key={label}
+                            // trends can run below zero, off a log y-axis
+                            data={data.filter(({ y }) => fitsScale(y, yScale))}
+                            interpolation={
+                              trendLineType === TREND_LINE_TYPES.LOESS
+                                ? 'monotoneX'
+                                : 'linear'
+                            }
+                            style={{
+                              data: { stroke: color, strokeWidth: 2 },
+                            }}
+                          />
+                        ))}
+                    </VictoryChart>
+                    {colorScale && (
+                      <ColorScaleBar
+                        className="ScatterPlot-colorScale"
+                        style={{ left: chartLeftPadding }}
+                        label={colorScale.label}
+                        min={colorScale.min}
+                        max={colorScale.max}
+                        colors={SEQUENTIAL_COLORS}
+                        formatValue={(value) =>
+                          formatNumberTicks({
+                            unitType: colorScale.unitType,
+                            tick: value,
+                            tickIncrement:
+                              (colorScale.max - colorScale.min) / 4,
+                          })
+                        }
+                      />
+                    )}
+                    <div
+                      className="ScatterPlot-toolbar"
+                      style={{ right: chartRightPadding }}
+                    >
+                      {zoomDomain && (
+                        <button
+                          type="button"
+                          className="ScatterPlot-button"
+                          onClick={this.resetZoom}
+                        >
+                          Reset zoom
+                        </button>
+                      )}
+                      <button
+                        type="button"
+                        className="ScatterPlot-button"
+                        aria-pressed={!isSelecting}
+                        title="Scroll to zoom, drag to pan"
+                        onClick={() =>
+                          this.setInteractionMode(INTERACTION_MODES.ZOOM)
+                        }
+                      >
+                        Zoom
+                      </button>
+                      <button
+                        type="button"
+                        className="ScatterPlot-button"
+                        aria-pressed={isSelecting}
+                        title="Drag to select points"
+                        onClick={() =>
+                          this.setInteractionMode(INTERACTION_MODES.SELECT)
+                        }
+                      >
+                        Select
+                      </button>
+                    </div>
+                    {selectionSummary && (
+                      <div
+                        className="ScatterPlot-summary"
+                        style={{
+                          top: chartTopPadding,
+                          left: chartLeftPadding + 8,
+                          maxHeight:
+                            chartHeight -
+                            chartTopPadding -
+                            CHART_BOTTOM_PADDING,
+                        }}
+                      >
+                        <SelectionSummary
+                          summary={selectionSummary}
+                          xLabel={series[0].xDisplayName}
+                          yLabel={series[0].yDisplayName}
+                          // categories have no min, max or mean
+                          formatX={
+                            isCategorical('x')
+                              ? undefined
+                              : xAxisLabelProps.tickFormat
+                          }
+                          formatY={
+                            isCategorical('y')
+                              ? undefined
+                              : yAxisLabelProps.tickFormat
+                          }
+                          onClear={this.clearSelection}
+                        />
+                      </div>
+                    )}
+                  </div>
+                  {legendPosition !== LEGEND_POSITIONS.HIDDEN && (
                     <Legend
-                      style={{
-                        height: legendHeight,
-                        marginLeft: chartLeftPadding,
-                        marginRight: chartRightPadding,
-                      }}
+                      height={legendHeight}
+                      position={legendPosition}
+                      overflow={legendOverflow}
+                      style={
+                        legendPosition === LEGEND_POSITIONS.RIGHT
+                          ? { width: legendWidth }
+                          : {
+                              marginLeft: chartLeftPadding,
+                              marginRight: chartRightPadding,
+                            }
+                      }
                       items={legendItems}
+                      onItemToggle={({ label }) =>
+                        this.toggleSeries(label, legendLabels)
+                      }
+                      onItemIsolate={({ label }) =>
+                        this.isolateSeries(label, legendLabels)
+                      }
                     />
                   )}
-                </>
+                </div>
               );
             }}
-          </NrqlQuery>
+          </VisualizationQuery>
         )}
       </AutoSizer>
     );
@@ -1,32 +1,45 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import {
-  Card,
-  CardBody,
-  HeadingText,
-  NrqlQuery,
-  Spinner,
-  AutoSizer,
-  PlatformStateContext,
-} from 'nr1';
+import cx from 'classnames';
+import { Card, CardBody, HeadingText, AutoSizer } from 'nr1';
 import {
   VictoryAxis,
   VictoryBar,
   VictoryChart,
+  VictoryClipContainer,
   VictoryContainer,
   VictoryStack,
   VictoryTooltip,
 } from 'victory';
 
+import { CLICK_ACTIONS, getClickEvents } from '../../src/click-actions';
 import Legend from '../../src/legend';
-import NrqlQueryError from '../../src/nrql-query-error';
+import ReferenceLayer from '../../src/reference-layer';
 
 import theme from '../../src/theme';
-import truncateLabel from '../../src/utils/truncate-label';
-import { getFacetLabel } from '../../src/utils/facets';
+import {
+  AXIS_SCALES,
+  getAxisDomain,
+  getLogTicks,
+} from '../../src/utils/axis-scale';
+import truncateLabel, { getTextWidth } from '../../src/utils/truncate-label';
+import { getFacetLabel, withQueryLabel } from '../../src/utils/facets';
 import { formatNumberTicks, typeToUnit } from '../../src/utils/units';
-import { getUniqueAggregatesAndFacets } from '../../src/utils/nrql-validation-helper';
-import NoDataState from '../../src/no-data-state';
+import { getAllSeries } from '../../src/utils/nrql-data';
+import { getConfiguredQueries } from '../../src/utils/nrql-queries';
+import { isolateSeries, toggleSeries } from '../../src/utils/hidden-series';
+import {
+  getReferenceLines,
+  getThresholdBands,
+  getThresholdColor,
+  getThresholdLines,
+} from '../../src/utils/thresholds';
+import {
+  LEGEND_OVERFLOW,
+  LEGEND_POSITIONS,
+  getLegendLayout,
+} from '../../src/utils/legend-layout';
+import VisualizationQuery from '../../src/visualization-query';
 
 /**
  * Returns the number of bars that will be shown in the stacked bar chart
@@ -43,6 +56,27 @@ const getBarCount = (data) => {
   }, new Set()).size;
 };
 
+/**
+ * Returns the sum of the values of all bar segments of each bar, keyed by the
+ * bar's x value.
+ *
+ * @param {{x: string|number, y: number}[][]} data
+ * @returns {Map<string|number, number>}
+ */
+const getBarTotals = (data) => {
+  return data.reduce((acc, series) => {
+    series.forEach(({ x, y }) => acc.set(x, (acc.get(x) ?? 0) + y));
+    return acc;
+  }, new Map());
+};
+
+// values that can be shown next to each bar segment in the legend
+const LEGEND_VALUES = {
+  NONE: 'none',
+  TOTAL: 'total',
+  LATEST: 'latest',
+};
+
 export default class StackedBarChart extends React.Component {
   // Custom props you wish to be configurable in the UI must also be defined in
   // the nr1.json file for the visualization. See docs for more details.
@@ -50,19 +84,27 @@ export default class StackedBarChart extends React.Component {
     /**
      * An array of objects consisting of a nrql `query` and `accountId`.
      * This should be a standard prop for any NRQL based visualizations.
+     * Each query adds its own bars to the chart, prefixed with its `label`.
      */
     nrqlQueries: PropTypes.arrayOf(
       PropTypes.shape({
         accountId: PropTypes.number,
         query: PropTypes.string,
+        label: PropTypes.string,
       })
     ),
     /**
      * Object consisting of configuration properties for y-axis.
-     * Label provides text to go next to the y-axis.
+     * Label provides text to go next to the y-axis. Scale spaces values evenly
+     * or by powers of ten. Min and max fix the bounds of the axis, and
+     * zero-based, which is on unless toggled off, has bars start at zero.
      */
     yAxis: PropTypes.shape({
       label: PropTypes.string,
+      scale: PropTypes.oneOf(Object.values(AXIS_SCALES)),
+      min: PropTypes.number,
+      max: PropTypes.number,
+      zeroBased: PropTypes.bool,
     }),
     /**
      * Object with a singular boolean value.
@@ -71,66 +113,156 @@ export default class StackedBarChart extends React.Component {
     other: PropTypes.shape({
       visible: PropTypes.bool,
     }),
+    /**
+     * Object with a singular boolean value.
+     * Determines if each bar is normalized to 100%, with bar segments showing
+     * their share of the bar total.
+     */
+    percentage: PropTypes.shape({
+      enabled: PropTypes.bool,
+    }),
+    /**
+     * Object with a singular boolean value.
+     * Determines if bars run left to right, with bar labels on the y-axis.
+     */
+    orientation: PropTypes.shape({
+      horizontal: PropTypes.bool,
+    }),
+    /**
+     * Object consisting of configuration properties for the legend.
+     * Position places the legend below or right of the chart, or hides it.
+     * Overflow determines if legend items that don't fit are scrolled to or
+     * listed behind a "+N more" entry. Values adds the total or latest value
+     * of each bar segment to its legend item.
+     */
+    legend: PropTypes.shape({
+      position: PropTypes.oneOf(Object.values(LEGEND_POSITIONS)),
+      overflow: PropTypes.oneOf(Object.values(LEGEND_OVERFLOW)),
+      values: PropTypes.oneOf(Object.values(LEGEND_VALUES)),
+    }),
+    /**
+     * Object with a singular enum value.
+     * Determines what clicking a bar segment does: filter the dashboard by the
+     * facet values behind it, open its query in the data explorer, or open
+     * the entity behind it when the query is FACETed by `entityGuid`.
+     */
+    clickAction: PropTypes.shape({
+      action: PropTypes.oneOf(Object.values(CLICK_ACTIONS)),
+    }),
+    /**
+     * Configuration that determines what values to shade and mark as warning
+     * or critical on the y-axis. When `colorByThreshold` is toggled on, bars
+     * are colored by whether their total is critical or successful.
+     */
+    thresholds: PropTypes.shape({
+      warningThreshold: PropTypes.number,
+      criticalThreshold: PropTypes.number,
+      highValuesAreSuccess: PropTypes.bool,
+      colorByThreshold: PropTypes.bool,
+    }),
+    /**
+     * An array of labeled y-axis values to draw a line at, such as SLO
+     * targets.
+     */
+    referenceLines: PropTypes.arrayOf(
+      PropTypes.shape({
+        value: PropTypes.number,
+        label: PropTypes.string,
+      })
+    ),
+
+    /**
+     * Configuration that lets the widget look back over its own time range,
+     * in minutes, instead of following the dashboard time picker.
+     */
+    timeRange: PropTypes.shape({
+      since: PropTypes.string,
+    }),
+  };
+
+  // segment labels of the bar segments hidden through the legend
+  state = {
+    hiddenSeries: [],
   };
 
+  toggleSeries = (label, labels) =>
+    this.setState(({ hiddenSeries }) => ({
+      hiddenSeries: toggleSeries(hiddenSeries, label, labels),
+    }));
+
+  isolateSeries = (label, labels) =>
+    this.setState(({ hiddenSeries }) => ({
+      hiddenSeries: isolateSeries(hiddenSeries, label, labels),
+    }));
+
   /**
    * Get the bar segment label and its corresponding bar label using the `value`
-   * property of entries in `metadata.groups` where `type` === "facet".
+   * property of the series' FACET clause groups.
    *
    * The returned `segmentLabel` comes from the value of the last FACET clause
    * attribute. The returned `barLabel` is a comma separated string of all but
    * the last FACET clause attribute.
    *
-   * @param {{type: string, value: string}[]} groups
+   * @param {{type: string, value: string}[]} facets
    * @returns {{barLabel: string, segmentLabel: string}}
    */
-  getFacetLabels = (groups) => {
-    const facetGroups = groups.filter(({ type }) => type === 'facet');
-
-    return {
-      barLabel: getFacetLabel(facetGroups.slice(0, -1)),
-      segmentLabel: facetGroups[facetGroups.length - 1].value,
-    };
-  };
+  getFacetLabels = (facets) => ({
+    barLabel: getFacetLabel(facets.slice(0, -1)),
+    segmentLabel: facets[facets.length - 1].value,
+  });
 
   /**
-   * Transforms NrqlQuery output to a form easy to pass to a set of VictoryBar
-   * components.
+   * Transforms normalized NRQL query models to a form easy to pass to a set
+   * of VictoryBar components.
    *
-   * Uses `metadata.color` for the bar fill colors.
+   * Uses the series `color` for the bar fill colors.
    *
    * Builds labels for bars and bar segments using the `value` property on
-   * `metadata.groups` entries where `type` === "facet".
+   * the series' FACET clause groups.
+   *
+   * Uses the series `value` for y-axis values.
    *
-   * Uses the `y` property on the data array entry for y-axis values.
+   * When results of several queries are combined, bar labels are prefixed
+   * with the `queryLabel` of the query they came from.
    *
-   * @param {{data: {y}[], metadata: { color: string, groups: {type: string, value: string}[]} }[]} rawData
-   * @returns {{x: string, y: number, color: string, segmentLabel: string}[][]}
+   * @param {{series: {value: number, color: string, unitType: string, queryLabel: string, facets: {type: string, value: string}[]}[]}[]} queries
+   * @returns {{x: string, y: number, color: string, segmentLabel: string, facets: Object[], queryIndex: number}[][]}
    */
-  transformData = (rawData) => {
+  transformData = (queries) => {
+    if (queries[0].isTimeseries) {
+      return this.transformTimeseriesData(queries);
+    }
+
     const colorsBySegmentLabel = new Map();
+    const series = getAllSeries(queries);
 
     // Gather values for each bar data series.
-    const facetBreakdown = rawData.reduce((acc, curr) => {
-      const { metadata, data } = curr;
-      const { barLabel, segmentLabel } = this.getFacetLabels(metadata?.groups);
+    const facetBreakdown = series.reduce((acc, curr) => {
+      const { facets, color, value, queryLabel, queryIndex } = curr;
+      const { barLabel: facetBarLabel, segmentLabel } =
+        this.getFacetLabels(facets);
       const {
         other: { visible },
       } = this.props;
 
-      if (!visible && barLabel === 'Other') {
+      if (!visible && facetBarLabel === 'Other') {
         return acc;
       }
 
+      const barLabel = withQueryLabel(facetBarLabel, queryLabel);
+
       if (!colorsBySegmentLabel.has(segmentLabel)) {
-        colorsBySegmentLabel.set(segmentLabel, metadata?.color);
+        colorsBySegmentLabel.set(segmentLabel, color);
       }
 
+      // keep the facets and query behind each bar segment for click actions
+      const barSegment = { value, facets, queryIndex };
+
       if (acc[segmentLabel]) {
-        acc[segmentLabel][barLabel] = data[0].y;
+        acc[segmentLabel][barLabel] = barSegment;
       } else {
         acc[segmentLabel] = {
-          [barLabel]: data[0].y,
+          [barLabel]: barSegment,
         };
       }
 
@@ -138,252 +270,529 @@ export default class StackedBarChart extends React.Component {
     }, {});
 
     // get the units for the measurement
-    const unitType = rawData[0].metadata.units_data.y;
+    const { unitType } = series[0];
 
     // Convert tiered object into an array of arrays for easy use in the stacked
     // VictoryBar components.
     return Object.entries(facetBreakdown).map(([segmentLabel, entry]) => {
-      return Object.entries(entry).map(([barLabel, value]) => ({
-        label: [
-          `${segmentLabel}`,
-          `${value?.toLocaleString() ?? ''}${typeToUnit(unitType)}`,
-        ],
-        segmentLabel,
-        x: barLabel,
-        y: value,
-        color: colorsBySegmentLabel.get(segmentLabel),
-      }));
+      return Object.entries(entry).map(
+        ([barLabel, { value, facets, queryIndex }]) => ({
+          label: [
+            `${segmentLabel}`,
+            `${value?.toLocaleString() ?? ''}${typeToUnit(unitType)}`,
+          ],
+          segmentLabel,
+          x: barLabel,
+          y: value,
+          color: colorsBySegmentLabel.get(segmentLabel),
+          facets,
+          queryIndex,
+        })
+      );
     });
   };
 
-  nrqlInputIsValid = (data) => {
-    const { uniqueAggregates, uniqueFacets } =
-      getUniqueAggregatesAndFacets(data);
-    return uniqueAggregates.size === 1 && uniqueFacets.size > 0;
+  /**
+   * Transforms normalized TIMESERIES query models to a form easy to pass to a
+   * set of VictoryBar components, with a stack of bar segments per time bucket.
+   *
+   * Bar segments are labeled with all FACET clause attribute values, or the
+   * aggregate function when there is no FACET clause. Their color is set by
+   * the value of the last FACET clause attribute.
+   *
+   * Uses the `begin` time of a bucket as the x-axis value.
+   *
+   * @param {{series: {buckets: {begin: number, value: number}[], color: string, unitType: string, aggregate: string, facetLabel: string, queryLabel: string, facets: {type: string, value: string}[]}[]}[]} queries
+   * @returns {{x: number, y: number, color: string, segmentLabel: string, facets: Object[], queryIndex: number}[][]}
+   */
+  transformTimeseriesData = (queries) => {
+    const {
+      other: { visible },
+    } = this.props;
+    const colorsByLastFacet = new Map();
+
+    return getAllSeries(queries)
+      .filter(
+        ({ facets }) => visible || facets[facets.length - 1]?.value !== 'Other'
+      )
+      .map((series) => {
+        const { facets, facetLabel, queryLabel, queryIndex, aggregate } =
+          series;
+        const { buckets, color, unitType } = series;
+        const lastFacet = facets[facets.length - 1]?.value ?? aggregate;
+        const segmentLabel = withQueryLabel(
+          facetLabel || aggregate,
+          queryLabel
+        );
+
+        if (!colorsByLastFacet.has(lastFacet)) {
+          colorsByLastFacet.set(lastFacet, color);
+        }
+
+        return buckets
+          .filter(({ value }) => value !== null && value !== undefined)
+          .map(({ begin, value }) => ({
+            label: [
+              segmentLabel,
+              formatNumberTicks({ unitType: 'TIMESTAMP', tick: begin }),
+              `${value.toLocaleString()}${typeToUnit(unitType)}`,
+            ],
+            segmentLabel,
+            x: begin,
+            y: value,
+            color: colorsByLastFacet.get(lastFacet),
+            facets,
+            queryIndex,
+          }));
+      });
+  };
+
+  /**
+   * Replaces the value of each bar segment with its percentage of the bar
+   * total. The tooltip shows the percentage next to the absolute value, which
+   * is the last line of the segment label.
+   *
+   * @param {{x: string|number, y: number, label: string[]}[][]} data
+   * @returns {{x: string|number, y: number, value: number, label: string[]}[][]}
+   */
+  toPercentages = (data) => {
+    const barTotals = getBarTotals(data);
+
+    return data.map((series) =>
+      series.map((barSegment) => {
+        const { x, y, label } = barSegment;
+        const total = barTotals.get(x);
+        const percentage = total ? (y / total) * 100 : 0;
+        const absoluteValue = label[label.length - 1];
+
+        return {
+          ...barSegment,
+          y: percentage,
+          value: y,
+          label: [
+            ...label.slice(0, -1),
+            `${percentage.toFixed(1)}% (${absoluteValue})`,
+          ],
+        };
+      })
+    );
   };
 
-  getXAxisLabelProps = ({ data, maxWidth }) => {
-    const { uniqueFacets } = getUniqueAggregatesAndFacets(data);
+  /**
+   * Returns the value shown next to a bar segment in the legend: the sum of
+   * the values of all of its bars, or the value of its latest TIMESERIES
+   * bucket. Bars of other queries are in no particular order, so they show
+   * the sum instead of the value of their last bar.
+   *
+   * @param {{x: string|number, y: number}[]} series
+   * @param {string} legendValues
+   * @param {boolean} isTimeseries
+   * @returns {number}
+   */
+  getLegendValue = (series, legendValues, isTimeseries) =>
+    legendValues === LEGEND_VALUES.LATEST && isTimeseries
+      ? series[series.length - 1].y
+      : series.reduce((total, { y }) => total + y, 0);
 
-    // in case of singular facet, use facet display name as x-axis label
-    const label =
-      uniqueFacets.size === 1
-        ? data[0].metadata.groups.find(({ type }) => type === 'facet')
-            .displayName
-        : '';
+  /**
+   * Colors every bar segment by whether the total of its bar is on the
+   * critical or the successful side of the critical threshold.
+   *
+   * @param {{x: string|number, y: number, color: string}[][]} data
+   * @returns {{x: string|number, y: number, color: string}[][]}
+   */
+  colorByThreshold = (data) => {
+    const barTotals = getBarTotals(data);
+
+    return data.map((series) =>
+      series.map((barSegment) => ({
+        ...barSegment,
+        color: getThresholdColor(
+          barTotals.get(barSegment.x),
+          this.props.thresholds,
+          barSegment.color
+        ),
+      }))
+    );
+  };
+
+  nrqlInputIsValid = (queries) =>
+    queries.every(
+      ({ aggregates, facets, isTimeseries }) =>
+        aggregates.length === 1 &&
+        (facets.length > 0 || isTimeseries) &&
+        isTimeseries === queries[0].isTimeseries
+    );
+
+  getXAxisLabelProps = ({ queries, maxWidth, tickCount }) => {
+    const [{ facets, queryLabel, isTimeseries }] = queries;
+
+    // in case of TIMESERIES, bars are placed on a time scale
+    if (isTimeseries) {
+      return {
+        label: '',
+        tickCount,
+        tickFormat: (tick) =>
+          formatNumberTicks({ unitType: 'TIMESTAMP', tick }),
+      };
+    }
+
+    // in case of singular facet and query, there is a single bar
+    const hasSingleBar = facets.length === 1 && !queryLabel;
+
+    // in case of singular bar, use facet display name as x-axis label
+    const label = hasSingleBar ? facets[0] : '';
 
-    // in case of singular facet, return only empty strings for tick labels
-    const tickFormat =
-      uniqueFacets.size === 1
-        ? () => ''
-        : (label) => truncateLabel(label, maxWidth);
+    // in case of singular bar, return only empty strings for tick labels;
+    // otherwise keep both ends of long labels, which tend to differ at the end
+    const tickFormat = hasSingleBar
+      ? () => ''
+      : (label) => truncateLabel(label, maxWidth, { position: 'middle' });
 
     return { label, tickFormat };
   };
 
-  getYAxisLabelProps = ({ data, transformedData, height }) => {
-    const { yAxis } = this.props;
+  /**
+   * Returns the width needed to show the bar labels of a horizontal chart in
+   * full, up to 40% of the chart width.
+   */
+  getBarLabelsWidth = ({ queries, transformedData, width }) => {
+    const labels = queries[0].isTimeseries
+      ? [formatNumberTicks({ unitType: 'TIMESTAMP', tick: Date.now() })]
+      : transformedData.flatMap((series) => series.map(({ x }) => x));
+    const labelsWidth = Math.max(...labels.map((label) => getTextWidth(label)));
+
+    return Math.min(width * 0.4, labelsWidth + 16);
+  };
+
+  getYAxisLabelProps = ({ queries, yDomain, tickCount }) => {
+    const {
+      yAxis,
+      percentage: { enabled: isPercentage },
+    } = this.props;
+    const [{ aggregates, series }] = queries;
 
     // `unitType` is a value to map NRQL data with units
-    const unitType = data[0].metadata.units_data.y;
+    const unitType = isPercentage ? 'PERCENTAGE' : series[0].unitType;
 
     // use label given in config or use display name of aggregate for y-axis
     const label =
       yAxis.label ||
-      `${
-        data[0].metadata.groups.find(({ type }) => type === 'function')
-          .displayName
-      }${typeToUnit(unitType)}`;
+      (isPercentage
+        ? `% of ${aggregates[0]}`
+        : `${aggregates[0]}${typeToUnit(unitType)}`);
 
     // find the increment of ticks to determine decimal formatting
-    const yDomainValues = transformedData.map(([{ y }]) => y);
-    const tickCount = Math.round(height / 36);
-    const yMin = 0;
-    const yMax = Math.max(...yDomainValues);
-    const tickIncrement = (yMax - yMin) / tickCount;
+    const tickIncrement = (yDomain.max - yDomain.min) / tickCount;
+    const { scale } = yAxis;
 
     return {
       label,
       tickCount,
+      // log axes get a tick per power of ten
+      tickValues:
+        scale === AXIS_SCALES.LOG ? getLogTicks(yDomain, tickCount) : undefined,
       tickFormat: (tick) =>
         formatNumberTicks({
           unitType,
           tick,
           tickIncrement,
+          scale,
         }),
     };
   };
 
-  render() {
-    const { nrqlQueries } = this.props;
+  /**
+   * Returns tooltip offsets that point the tooltip at the middle of the side
+   * of a bar segment. Horizontal bars get their tooltip above the segment,
+   * vertical bars to the right of it.
+   *
+   * Segments are measured on screen, from their end to their start or to the
+   * bottom of the axis if it is beyond, so that they are measured alike on
+   * linear and log axes.
+   */
+  getTooltipOffsets = ({ barWidth, isHorizontal }) => {
+    const getSegmentLength = ({ datum, scale }) => {
+      const domainMin = Math.min(...scale.y.domain());
+
+      return Math.abs(
+        scale.y(datum._y) - scale.y(Math.max(datum._y0, domainMin))
+      );
+    };
 
-    const nrqlQueryPropsAvailable =
-      nrqlQueries &&
-      nrqlQueries[0] &&
-      nrqlQueries[0].accountId &&
-      nrqlQueries[0].query;
+    return isHorizontal
+      ? {
+          // move back from the end of the bar segment to its middle
+          dx: (props) => -getSegmentLength(props) / 2,
+          dy: -barWidth / 2,
+        }
+      : {
+          dx: barWidth / 2,
+          dy: (props) => getSegmentLength(props) / 2,
+        };
+  };
+
+  render() {
+    const nrqlQueries = getConfiguredQueries(this.props.nrqlQueries);
 
-    if (!nrqlQueryPropsAvailable) {
+    if (!nrqlQueries.length) {
       return <EmptyState />;
     }
 
     return (
       <AutoSizer className="StackedBarChart">
         {({ width, height }) => (
-          <PlatformStateContext.Consumer>
-            {({ timeRange }) => (
-              <NrqlQuery
-                query={nrqlQueries[0].query}
-                accountIds={[parseInt(nrqlQueries[0].accountId)]}
-                pollInterval={NrqlQuery.AUTO_POLL_INTERVAL}
-                timeRange={timeRange}
-              >
-                {({ data, loading, error }) => {
-                  if (loading) {
-                    return <Spinner />;
-                  }
-
-                  if (error && data === null) {
-                    return (
-                      <NrqlQueryError
-                        title="NRQL Syntax Error"
-                        description={error.message}
-                      />
-                    );
-                  }
-
-                  if (!data.length) {
-                    return <NoDataState />;
-                  }
-
-                  if (!this.nrqlInputIsValid(data)) {
-                    return (
-                      <NrqlQueryError
-                        title="Unsupported NRQL query"
-                        description="The provided NRQL query is not supported by this visualization. Please make sure to have exactly 1 aggregate function in the SELECT clause and at least one FACET clause."
-                      />
-                    );
-                  }
-
-                  const transformedData = this.transformData(data);
-
-                  const legendItems = transformedData.reduce((acc, curr) => {
-                    curr.forEach(({ color, segmentLabel }) => {
-                      if (!acc.some(({ label }) => label === segmentLabel)) {
-                        acc.push({ label: segmentLabel, color });
-                      }
+          <VisualizationQuery
+            nrqlQueries={nrqlQueries}
+            timeRange={this.props.timeRange}
+            isValid={this.nrqlInputIsValid}
+            unsupportedDescription="The provided NRQL query is not supported by this visualization. Please make sure each query has exactly 1 aggregate function in the SELECT clause and at least one FACET clause or a TIMESERIES clause. Queries with and without a TIMESERIES clause can't be combined."
+          >
+            {(queries) => {
+              const { hiddenSeries } = this.state;
+              const {
+                legend: {
+                  position: legendPosition = LEGEND_POSITIONS.BOTTOM,
+                  overflow: legendOverflow = LEGEND_OVERFLOW.SCROLL,
+                  values: legendValues = LEGEND_VALUES.NONE,
+                },
+              } = this.props;
+              const allData = this.transformData(queries);
+              const { unitType } = queries[0].series[0];
+
+              const legendItems = allData.reduce((acc, curr) => {
+                curr.forEach(({ color, segmentLabel }) => {
+                  if (!acc.some(({ label }) => label === segmentLabel)) {
+                    acc.push({
+                      label: segmentLabel,
+                      color,
+                      hidden: hiddenSeries.includes(segmentLabel),
+                      ...(legendValues !== LEGEND_VALUES.NONE && {
+                        value: `${this.getLegendValue(
+                          curr,
+                          legendValues,
+                          queries[0].isTimeseries
+                        ).toLocaleString()}${typeToUnit(unitType)}`,
+                      }),
                     });
-                    return acc;
-                  }, []);
-
-                  const chartLeftPadding = 100;
-                  const chartRightPadding = 25;
-                  const legendHeight = 50;
-                  const spaceBelowLegend = 16;
-
-                  const barCount = getBarCount(transformedData);
-                  const xDomainWidth =
-                    width - chartLeftPadding - chartRightPadding;
-                  // set the width of stacked bars so that they take up about 60% of the width
-                  const barWidth = (xDomainWidth * 0.6) / barCount;
-
-                  const xAxisLabelProps = this.getXAxisLabelProps({
-                    data,
-                    maxWidth: xDomainWidth / barCount,
-                  });
-
-                  const yAxisLabelProps = this.getYAxisLabelProps({
-                    data,
+                  }
+                });
+                return acc;
+              }, []);
+              const legendLabels = legendItems.map(({ label }) => label);
+
+              // leave out bar segments hidden through the legend, so that
+              // axes (and percentages) only account for what is visible
+              const visibleData = allData.filter(
+                (series) => !hiddenSeries.includes(series[0]?.segmentLabel)
+              );
+              const valueData = this.props.percentage.enabled
+                ? this.toPercentages(visibleData)
+                : visibleData;
+              const { thresholds, referenceLines: configuredReferenceLines } =
+                this.props;
+              const transformedData = thresholds.colorByThreshold
+                ? this.colorByThreshold(valueData)
+                : valueData;
+              const referenceLines = [
+                ...getThresholdLines(thresholds),
+                ...getReferenceLines(configuredReferenceLines),
+              ];
+              const {
+                yAxis: { scale: yScale = AXIS_SCALES.LINEAR, zeroBased = true },
+              } = this.props;
+              // bars span from their lowest segment to their total, and
+              // reference lines are kept in view when they are beyond them
+              const yDomain = getAxisDomain(
+                [
+                  ...transformedData.flat().map(({ y }) => y),
+                  ...getBarTotals(transformedData).values(),
+                  ...referenceLines.map(({ value }) => value),
+                ],
+                { ...this.props.yAxis, scale: yScale, zeroBased }
+              );
+
+              const {
+                orientation: { horizontal: isHorizontal },
+                clickAction: { action: clickAction },
+              } = this.props;
+              const clickEvents = getClickEvents({
+                action: clickAction,
+                nrqlQueries,
+              });
+
+              // `yDomainWidth` represents the maximum width of the ticks for y-axis
+              const yDomainWidth = 50;
+              const yAxisPadding = 16;
+
+              const {
+                chartWidth: chartAreaWidth,
+                chartHeight,
+                legendWidth,
+                legendHeight,
+              } = getLegendLayout({
+                position: legendPosition,
+                width,
+                height,
+              });
+
+              // in horizontal layout, bar labels sit left of the chart
+              const chartLeftPadding = isHorizontal
+                ? this.getBarLabelsWidth({
+                    queries,
                     transformedData,
-                    height,
-                  });
-
-                  // `yDomainWidth` represents the maximum width of the ticks for y-axis
-                  const yDomainWidth = 50;
-                  const yAxisPadding = 16;
-
-                  return (
-                    <>
-                      <VictoryChart
-                        containerComponent={
-                          <VictoryContainer responsive={false} />
-                        }
-                        width={width}
-                        height={height - legendHeight - spaceBelowLegend}
-                        padding={{
-                          top: 16,
-                          bottom: 40,
-                          left: chartLeftPadding,
-                          right: chartRightPadding,
-                        }}
-                        domainPadding={{
-                          x: barWidth / 2,
-                        }}
-                        theme={theme}
-                      >
-                        <VictoryAxis
-                          {...xAxisLabelProps}
+                    width: chartAreaWidth,
+                  })
+                : 100;
+              const chartRightPadding = 25;
+              const chartTopPadding = 16;
+              const chartBottomPadding = 40;
+
+              const barCount = getBarCount(transformedData);
+              const chartWidth =
+                chartAreaWidth - chartLeftPadding - chartRightPadding;
+              // `xDomainWidth` is the length of the axis bars are laid out along
+              const xDomainWidth = isHorizontal
+                ? chartHeight - chartTopPadding - chartBottomPadding
+                : chartWidth;
+              // set the width of stacked bars so that they take up about 60% of the width
+              const barWidth = (xDomainWidth * 0.6) / barCount;
+
+              const xAxisLabelProps = this.getXAxisLabelProps({
+                queries,
+                maxWidth: isHorizontal
+                  ? chartLeftPadding - yAxisPadding
+                  : xDomainWidth / barCount,
+                tickCount: Math.round(xDomainWidth / (isHorizontal ? 36 : 120)),
+              });
+
+              const yAxisLabelProps = this.getYAxisLabelProps({
+                queries,
+                yDomain,
+                tickCount: Math.round(
+                  isHorizontal ? chartWidth / 80 : height / 36
+                ),
+              });
+
+              return (
+                <div
+                  className={cx(
+                    'LegendLayout',
+                    `LegendLayout--${legendPosition}`
+                  )}
+                >
+                  <VictoryChart
+                    containerComponent={<VictoryContainer responsive={false} />}
+                    width={chartAreaWidth}
+                    height={chartHeight}
+                    horizontal={isHorizontal}
+                    padding={{
+                      top: chartTopPadding,
+                      bottom: chartBottomPadding,
+                      left: chartLeftPadding,
+                      right: chartRightPadding,
+                    }}
+                    domainPadding={{
+                      x: barWidth / 2,
+                    }}
+                    scale={{
+                      x: queries[0].isTimeseries ? 'time' : 'linear',
+                      y: yScale,
+                    }}
+                    minDomain={{ y: yDomain.min }}
+                    maxDomain={{ y: yDomain.max }}
+                    theme={theme}
+                  >
+                    <VictoryAxis
+                      {...xAxisLabelProps}
+                      style={{
+                        grid: {
+                          stroke: 'none',
+                        },
+                        axisLabel: {
+                          padding: isHorizontal
+                            ? chartLeftPadding - yAxisPadding
+                            : 16,
+                        },
+                      }}
+                    />
+                    <VictoryAxis
+                      {...yAxisLabelProps}
+                      dependentAxis
+                      style={{
+                        axisLabel: {
+                          padding: isHorizontal
+                            ? 24
+                            : yDomainWidth + yAxisPadding,
+                        },
+                      }}
+                    />
+                    <ReferenceLayer
+                      bands={getThresholdBands(thresholds)}
+                      lines={referenceLines}
+                      formatValue={yAxisLabelProps.tickFormat}
+                    />
+                    <VictoryStack>
+                      {transformedData.map((series) => (
+                        <VictoryBar
+                          key={series.segmentLabel}
+                          barWidth={barWidth}
+                          // keep bars below a raised axis bottom off the axis
+                          groupComponent={<VictoryClipContainer />}
+                          labelComponent={
+                            <VictoryTooltip
+                              horizontal={!isHorizontal}
+                              {...this.getTooltipOffsets({
+                                barWidth,
+                                isHorizontal,
+                              })}
+                              constrainToVisibleArea
+                              pointerLength={8}
+                              flyoutStyle={{
+                                stroke: ({ datum }) => datum.color,
+                                strokeWidth: 2,
+                                filter: 'none',
+                              }}
+                            />
+                          }
+                          data={series}
+                          events={clickEvents}
                           style={{
-                            grid: {
-                              stroke: 'none',
+                            data: {
+                              fill: ({ datum }) => datum.color,
+                              cursor: clickEvents.length ? 'pointer' : 'auto',
                             },
-                            axisLabel: { padding: 16 },
-                          }}
-                        />
-                        <VictoryAxis
-                          {...yAxisLabelProps}
-                          dependentAxis
-                          style={{
-                            axisLabel: { padding: yDomainWidth + yAxisPadding },
                           }}
                         />
-                        <VictoryStack>
-                          {transformedData.map((series) => (
-                            <VictoryBar
-                              key={series.segmentLabel}
-                              barWidth={barWidth}
-                              labelComponent={
-                                <VictoryTooltip
-                                  horizontal
-                                  dy={({ datum, scale }) =>
-                                    scale.y(
-                                      Math.abs(datum._y1 - datum._y0) / 2
-                                    ) - scale.y(datum._y)
-                                  }
-                                  dx={barWidth / 2}
-                                  constrainToVisibleArea
-                                  pointerLength={8}
-                                  flyoutStyle={{
-                                    stroke: ({ datum }) => datum.color,
-                                    strokeWidth: 2,
-                                    filter: 'none',
-                                  }}
-                                />
-                              }
-                              data={series}
-                              style={{
-                                data: {
-                                  fill: ({ datum }) => datum.color,
-                                },
-                              }}
-                            />
-                          ))}
-                        </VictoryStack>
-                      </VictoryChart>
-                      <Legend
-                        style={{
-                          height: legendHeight,
-                          marginLeft: chartLeftPadding,
-                          marginRight: chartRightPadding,
-                        }}
-                        items={legendItems}
-                      />
-                    </>
-                  );
-                }}
-              </NrqlQuery>
-            )}
-          </PlatformStateContext.Consumer>
+                      ))}
+                    </VictoryStack>
+                  </VictoryChart>
+                  {legendPosition !== LEGEND_POSITIONS.HIDDEN && (
+                    <Legend
+                      height={legendHeight}
+                      position={legendPosition}
+                      overflow={legendOverflow}
+                      style={
+                        legendPosition === LEGEND_POSITIONS.RIGHT
+                          ? { width: legendWidth }
+                          : {
+                              marginLeft: chartLeftPadding,
+                              marginRight: chartRightPadding,
+                            }
+                      }
+                      items={legendItems}
+                      onItemToggle={({ label }) =>
+                        this.toggleSeries(label, legendLabels)
+                      }
+                      onItemIsolate={({ label }) =>
+                        this.isolateSeries(label, legendLabels)
+                      }
+                    />
+                  )}
+                </div>
+              );
+            }}
+          </VisualizationQuery>
         )}
       </AutoSizer>
     );